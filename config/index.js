@@ -1,5 +1,17 @@
 require('dotenv').config();
 
+const aiProvider = process.env.AI_PROVIDER || 'gemini';
+
+// Posting caps per user for each X API tier. null means the tier has no cap for that window.
+// monthlyReads is how many posts the tier may read per month, e.g. for metrics.
+const apiPlans = {
+  free: { fifteenMinutes: null, day: 17, month: 500, monthlyReads: 100 },
+  basic: { fifteenMinutes: null, day: 100, month: 3000, monthlyReads: 10000 },
+  pro: { fifteenMinutes: 100, day: 10000, month: 300000, monthlyReads: 1000000 },
+};
+const apiPlan = apiPlans[process.env.X_API_PLAN] ? process.env.X_API_PLAN : 'free';
+const planLimit = (envValue, planValue) => parseInt(envValue) || planValue;
+
 const config = {
   port: process.env.PORT || 8080,
   
@@ -24,18 +36,101 @@ const config = {
     accessSecret: process.env.TWITTER_ACCESS_SECRET || 'demo-access-secret',
   },
   
+  // Additional X accounts stored in the accounts table
+  accounts: {
+    encryptionKey: process.env.ACCOUNT_ENCRYPTION_KEY || null,
+  },
+  
   // AI Configuration
   ai: {
+    // gemini, openai, local (OpenAI-compatible model server) or mock (deterministic, offline)
+    provider: aiProvider,
+    model: process.env.AI_MODEL || null,
+    apiKey: process.env.AI_API_KEY || null,
+    baseUrl: process.env.AI_BASE_URL || null,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 30000,
     geminiApiKey: process.env.GEMINI_API_KEY || 'demo-gemini-key',
   },
   
+  // Image Generation Configuration
+  images: {
+    // openai (OpenAI-compatible images API), http (generic endpoint) or placeholder (stock photo)
+    provider: process.env.IMAGE_PROVIDER || 'placeholder',
+    model: process.env.IMAGE_MODEL || null,
+    apiKey: process.env.IMAGE_API_KEY || null,
+    baseUrl: process.env.IMAGE_BASE_URL || null,
+    size: process.env.IMAGE_SIZE || '1024x1024',
+    timeoutMs: parseInt(process.env.IMAGE_TIMEOUT_MS) || 60000,
+    // local (disk) or supabase (Supabase Storage bucket)
+    storage: process.env.IMAGE_STORAGE || 'local',
+    localDir: process.env.IMAGE_LOCAL_DIR || 'uploads/assets',
+    bucket: process.env.IMAGE_BUCKET || 'tweet-images',
+  },
+  
   // Rate Limiting Configuration
   rateLimits: {
-    dailyTweetLimit: 17, // Twitter free tier limit
+    // X API tier; QUOTA_*_LIMIT overrides any of its caps
+    plan: apiPlan,
+    fifteenMinuteTweetLimit: planLimit(process.env.QUOTA_15MIN_LIMIT, apiPlans[apiPlan].fifteenMinutes),
+    dailyTweetLimit: planLimit(process.env.QUOTA_DAILY_LIMIT, apiPlans[apiPlan].day),
+    monthlyTweetLimit: planLimit(process.env.QUOTA_MONTHLY_LIMIT, apiPlans[apiPlan].month),
+    // calendar: the count resets at midnight in quotaResetTimezone; rolling: it covers the last 24 hours
+    quotaMode: process.env.QUOTA_MODE === 'rolling' ? 'rolling' : 'calendar',
+    quotaResetTimezone: process.env.QUOTA_RESET_TIMEZONE || 'UTC',
     apiRequestsPerMinute: 60,
     schedulingDistributionHours: 24,
   },
   
+  // Authentication Configuration
+  auth: {
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+    sessionSecret: process.env.SESSION_SECRET || null,
+    sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 12,
+  },
+  
+  // Scheduling Configuration
+  scheduling: {
+    // IANA timezone used for schedules that don't set their own
+    defaultTimezone: process.env.ACCOUNT_TIMEZONE || 'UTC',
+    // Posting times (HH:MM) that queued posts are slotted into; empty spreads the daily limit over the day
+    postingSlots: (process.env.POSTING_SLOTS || '').split(',').map(slot => slot.trim()).filter(Boolean),
+    // Timezone of the posting slots; empty uses each account's timezone
+    postingSlotsTimezone: process.env.POSTING_SLOTS_TIMEZONE || null,
+    // Quiet hours of the default account as HH:MM-HH:MM ranges, e.g. 22:00-07:00
+    quietHours: (process.env.QUIET_HOURS || '').split(',').map(range => range.trim()).filter(Boolean),
+    // Blackout dates of the default account as YYYY-MM-DD or YYYY-MM-DD/YYYY-MM-DD ranges
+    blackoutDates: (process.env.BLACKOUT_DATES || '').split(',').map(range => range.trim()).filter(Boolean),
+    // What happens to a run inside quiet hours or a blackout: defer it to the end, or skip it
+    blackoutPolicy: process.env.BLACKOUT_POLICY === 'skip' ? 'skip' : 'defer',
+  },
+
+  // Engagement Metrics Configuration
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // How often the collection job runs
+    intervalMinutes: parseInt(process.env.METRICS_INTERVAL_MINUTES) || 15,
+    // Posts younger than recentDays are refreshed every recentRefreshMinutes, older ones every olderRefreshHours
+    recentDays: parseInt(process.env.METRICS_RECENT_DAYS) || 2,
+    recentRefreshMinutes: parseInt(process.env.METRICS_RECENT_REFRESH_MINUTES) || 60,
+    olderRefreshHours: parseInt(process.env.METRICS_OLDER_REFRESH_HOURS) || 24,
+    // Posts older than this are no longer refreshed
+    maxAgeDays: parseInt(process.env.METRICS_MAX_AGE_DAYS) || 30,
+    // Lookup requests (up to 100 posts each) per account and run
+    requestsPerRun: parseInt(process.env.METRICS_REQUESTS_PER_RUN) || 1,
+    // Posts read per account and month; spread evenly over the month
+    monthlyReadLimit: planLimit(process.env.METRICS_MONTHLY_READ_LIMIT, apiPlans[apiPlan].monthlyReads),
+  },
+
+  // Draft Review Configuration
+  review: {
+    // Hold scheduled tweets as drafts for approval unless a schedule opts out
+    enabled: process.env.REVIEW_MODE === 'true',
+    deadlineMinutes: parseInt(process.env.REVIEW_DEADLINE_MINUTES) || 60,
+    // What happens to drafts nobody approved in time: expire (discard) or post
+    expiryBehavior: process.env.REVIEW_EXPIRY_BEHAVIOR === 'post' ? 'post' : 'expire',
+  },
+  
   // File Upload Configuration
   uploads: {
     maxFileSize: 5 * 1024 * 1024, // 5MB
@@ -50,12 +145,13 @@ const config = {
   },
 
   // Demo mode (when API keys are not configured)
+  // (a Gemini key is only needed when Gemini is the AI provider)
   isDemoMode: !process.env.SUPABASE_URL || 
               !process.env.TWITTER_API_KEY || 
-              !process.env.GEMINI_API_KEY ||
               process.env.SUPABASE_URL.includes('your_') ||
               process.env.TWITTER_API_KEY.includes('your_') ||
-              process.env.GEMINI_API_KEY.includes('your_'),
+              (aiProvider === 'gemini' &&
+                (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY.includes('your_'))),
 };
 
 module.exports = config;
\ No newline at end of file
@@ -9,13 +9,19 @@ const rateLimit = require('express-rate-limit');
 // Import services and configuration
 const config = require('./config');
 const logger = require('./utils/logger');
+const { getNextScheduleRun, formatInTimezone } = require('./utils/time');
+const { requireAuth } = require('./middleware/auth');
 const demoService = require('./services/DemoService');
 
 // Only import real services if not in demo mode
-let tweetProcessor, databaseService;
+let tweetProcessor, databaseService, accountService, scheduleService, queueService, blackoutService;
 if (!config.isDemoMode) {
+  queueService = require('./services/QueueService');
   tweetProcessor = require('./workers/tweetProcessor');
   databaseService = require('./services/DatabaseService');
+  accountService = require('./services/AccountService');
+  scheduleService = require('./services/ScheduleService');
+  blackoutService = require('./services/BlackoutService');
 } else {
   demoService.showConfigurationMessage();
 }
@@ -67,34 +73,67 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded and generated images, including ones not posted yet, are only served to signed-in users
+app.use('/uploads', requireAuth('read'), express.static(path.join(__dirname, 'uploads')));
 
 // Routes
+const authRoutes = require('./routes/auth');
 const tweetRoutes = require('./routes/tweet');
 const dashboardRoutes = require('./routes/dashboard');
+const reviewRoutes = require('./routes/review');
+const analyticsRoutes = require('./routes/analytics');
+const calendarRoutes = require('./routes/calendar');
+const importRoutes = require('./routes/import');
 
+app.use('/', authRoutes);
 app.use('/tweet', tweetRoutes);
 app.use('/dashboard', dashboardRoutes);
+app.use('/review', reviewRoutes);
+app.use('/analytics', analyticsRoutes);
+app.use('/calendar', calendarRoutes);
+app.use('/import', importRoutes);
 
 // Home route with enhanced dashboard
-app.get('/', async (req, res) => {
+app.get('/', requireAuth('read'), async (req, res) => {
   try {
-    let scheduledTweets, tweetStats;
+    let scheduledTweets, tweetStats, accounts, waitingForQuota, blackoutRuns;
     
     if (config.isDemoMode) {
       scheduledTweets = demoService.getDemoTweets();
       tweetStats = demoService.getDemoStats();
+      accounts = demoService.getDemoAccounts();
+      waitingForQuota = 0;
+      blackoutRuns = [];
     } else {
-      [scheduledTweets, tweetStats] = await Promise.all([
+      [scheduledTweets, tweetStats, accounts, waitingForQuota] = await Promise.all([
         databaseService.getScheduledTweets(),
         databaseService.getTweetStats(),
+        accountService.getAccountStats(),
+        queueService.getDeferredCount(),
       ]);
+
+      // Not worth failing the dashboard over
+      blackoutRuns = await blackoutService.getAffectedRuns(scheduledTweets, { days: 7, limit: 10 }).catch(() => []);
     }
 
+    const defaultTimezone = config.scheduling.defaultTimezone;
+    const tweets = scheduledTweets.map(tweet => ({
+      ...tweet,
+      nextRun: getNextScheduleRun(tweet, defaultTimezone),
+    }));
+    const affectedRuns = blackoutRuns.map(run => ({
+      ...run,
+      runAtLocal: formatInTimezone(new Date(run.runAt), run.timezone),
+      movedToLocal: run.movedTo ? formatInTimezone(new Date(run.movedTo), run.timezone) : null,
+    }));
+
     res.render('index', { 
-      tweets: scheduledTweets,
+      tweets,
       stats: tweetStats,
+      accounts,
+      waitingForQuota,
+      affectedRuns,
+      defaultTimezone,
       isDemoMode: config.isDemoMode,
     });
   } catch (error) {
@@ -102,7 +141,11 @@ app.get('/', async (req, res) => {
     res.render('index', { 
       tweets: [],
       stats: { todayTweets: 0, totalTweets: 0, scheduledTweets: 0 },
+      accounts: [],
+      waitingForQuota: 0,
+      affectedRuns: [],
       error: 'Failed to load dashboard data',
+      defaultTimezone: config.scheduling.defaultTimezone,
       isDemoMode: config.isDemoMode,
     });
   }
@@ -199,6 +242,16 @@ app.listen(PORT, () => {
     databaseService.cleanup().catch(err => {
       logger.warn('Initial database cleanup failed:', err.message);
     });
+
+    // Restore queue jobs lost with Redis and drop jobs of schedules that no longer run
+    scheduleService.reconcile().catch(err => {
+      logger.warn('Startup schedule reconciliation failed:', err.message);
+    });
+
+    // Start, re-time or stop the periodic metrics collection to match the configuration
+    queueService.scheduleMetricsCollection(config.metrics.enabled ? config.metrics.intervalMinutes : null).catch(err => {
+      logger.warn('Failed to schedule metrics collection:', err.message);
+    });
   }
 });
 
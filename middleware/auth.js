@@ -0,0 +1,69 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const authService = require('../services/AuthService');
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(cookie => cookie.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+);
+
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [type, token] = header.split(' ');
+  return type && type.toLowerCase() === 'bearer' ? token : null;
+};
+
+// Browsers are sent to the login page; API clients get a JSON error
+const rejectRequest = (req, res, status, message) => {
+  if (!getBearerToken(req) && req.accepts(['html', 'json']) === 'html') {
+    if (status === 401) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.status(status).render('error', { message: `❌ ${message}` });
+  }
+
+  return res.status(status).json({ success: false, error: message });
+};
+
+// Accepts a bearer API token with the given scope, or a dashboard session (which has every scope)
+const requireAuth = (scope) => async (req, res, next) => {
+  // Nothing can be posted in demo mode, so the demo stays open
+  if (config.isDemoMode) {
+    req.auth = { type: 'demo', scopes: ['admin'] };
+    return next();
+  }
+
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      const record = await authService.verifyApiToken(token);
+      if (!record) {
+        return rejectRequest(req, res, 401, 'Invalid or revoked API token');
+      }
+      if (!authService.hasScope(record.scopes, scope)) {
+        return rejectRequest(req, res, 403, `API token is missing the "${scope}" scope`);
+      }
+
+      req.auth = { type: 'token', tokenId: record.id, scopes: record.scopes };
+      return next();
+    }
+
+    const session = authService.verifySession(parseCookies(req.get('cookie'))[authService.sessionCookieName]);
+    if (session) {
+      req.auth = { type: 'session', user: session.sub, scopes: ['admin'] };
+      return next();
+    }
+
+    return rejectRequest(req, res, 401, 'Authentication required');
+  } catch (error) {
+    logger.error('Authentication check failed:', error.message);
+    return rejectRequest(req, res, 500, 'Authentication check failed');
+  }
+};
+
+module.exports = {
+  requireAuth,
+  parseCookies,
+};
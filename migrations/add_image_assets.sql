@@ -0,0 +1,10 @@
+-- Stored image assets: uploaded schedule images and generated images.
+-- Paths are relative to the app for local storage, or supabase:<bucket>/<key> for Supabase Storage.
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS image_path TEXT;
+
+ALTER TABLE IF EXISTS public.tweet_history
+    ADD COLUMN IF NOT EXISTS image_path TEXT;
+
+COMMENT ON COLUMN public.scheduled_tweets.image_path IS 'Stored image attached on every run of this schedule';
+COMMENT ON COLUMN public.tweet_history.image_path IS 'Stored image that was attached to this tweet';
@@ -0,0 +1,9 @@
+-- One-off schedules run once at scheduled_for and have no cron expression
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP WITH TIME ZONE,
+    ALTER COLUMN cron_time DROP NOT NULL;
+
+COMMENT ON COLUMN public.scheduled_tweets.scheduled_for IS 'When a one-off (schedule_type = once) tweet is posted';
+COMMENT ON COLUMN public.scheduled_tweets.schedule_type IS 'Type of schedule (once, everyMinute, hourly, daily, weekly, custom)';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweets_scheduled_for ON public.scheduled_tweets(scheduled_for);
@@ -0,0 +1,26 @@
+-- The tone AI-written posts were generated with (AIService.buildPrompt), so analytics can
+-- compare tones. NULL on a schedule means the default engaging tone; NULL in history means
+-- the post was written by hand.
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS tone TEXT
+    CHECK (tone IN ('engaging', 'professional', 'casual', 'humorous', 'informative'));
+
+COMMENT ON COLUMN public.scheduled_tweets.tone IS 'Tone for AI-written runs; NULL is engaging';
+
+ALTER TABLE IF EXISTS public.tweet_drafts
+    ADD COLUMN IF NOT EXISTS tone TEXT;
+
+COMMENT ON COLUMN public.tweet_drafts.tone IS 'Tone the draft was generated with; NULL if it was not AI-written';
+
+ALTER TABLE IF EXISTS public.tweet_history
+    ADD COLUMN IF NOT EXISTS tone TEXT;
+
+COMMENT ON COLUMN public.tweet_history.tone IS 'Tone the post was generated with; NULL if it was written by hand';
+
+-- Latest metrics snapshot per post, for analytics
+CREATE OR REPLACE VIEW public.tweet_metrics_latest AS
+    SELECT DISTINCT ON (tweet_id) *
+    FROM public.tweet_metrics
+    ORDER BY tweet_id, collected_at DESC;
+
+COMMENT ON VIEW public.tweet_metrics_latest IS 'Most recent tweet_metrics row of each tweet';
@@ -0,0 +1,9 @@
+-- One-off tweets added to the posting queue instead of given a time. Their scheduled_for
+-- is the slot they were assigned and is re-assigned whenever the queue changes.
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS auto_slot BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN public.scheduled_tweets.auto_slot IS 'TRUE while the post is in the queue and its time is assigned automatically';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweets_queue ON public.scheduled_tweets(account_id, created_at)
+    WHERE auto_slot AND status = 'scheduled';
@@ -0,0 +1,14 @@
+-- Times an account must not post: daily quiet hours and blackout date ranges, both read in
+-- the account's timezone. Each schedule decides whether a run that falls inside one is
+-- skipped or deferred to the end of it.
+ALTER TABLE IF EXISTS public.accounts
+    ADD COLUMN IF NOT EXISTS quiet_hours JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS blackout_dates JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN public.accounts.quiet_hours IS 'Daily ranges as "HH:MM-HH:MM"; a range may wrap past midnight';
+COMMENT ON COLUMN public.accounts.blackout_dates IS 'Inclusive date ranges as {"start": "YYYY-MM-DD", "end": "YYYY-MM-DD", "reason": "..."}';
+
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS blackout_policy TEXT CHECK (blackout_policy IN ('skip', 'defer'));
+
+COMMENT ON COLUMN public.scheduled_tweets.blackout_policy IS 'skip or defer a run inside quiet hours or a blackout; NULL follows BLACKOUT_POLICY';
@@ -0,0 +1,10 @@
+-- Rate-limit snapshots reported by the X API after each post and media upload
+ALTER TABLE IF EXISTS public.rate_limits
+    ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES public.accounts(id),
+    ADD COLUMN IF NOT EXISTS limit_value INTEGER;
+
+COMMENT ON COLUMN public.rate_limits.limit_type IS 'Endpoint and window, e.g. tweets, tweets:user_24h, tweets:app_24h, media_upload';
+COMMENT ON COLUMN public.rate_limits.account_id IS 'Account the limit applies to; NULL means the default account';
+COMMENT ON COLUMN public.rate_limits.limit_value IS 'Requests allowed in the window, as reported by the API';
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_account_recorded ON public.rate_limits(account_id, recorded_at);
@@ -0,0 +1,11 @@
+-- Recurring schedules can delay each run by a random offset so posts don't land exactly on
+-- the minute. History records when each post was planned; posted_at is when it went out.
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS jitter_minutes INTEGER NOT NULL DEFAULT 0 CHECK (jitter_minutes >= 0);
+
+COMMENT ON COLUMN public.scheduled_tweets.jitter_minutes IS 'Each run of a recurring schedule is delayed by a random 0 to jitter_minutes minutes';
+
+ALTER TABLE IF EXISTS public.tweet_history
+    ADD COLUMN IF NOT EXISTS planned_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.tweet_history.planned_at IS 'When a scheduled post was due, before jitter and deferrals; NULL for immediate posts';
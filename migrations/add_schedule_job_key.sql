@@ -0,0 +1,6 @@
+-- Key of the Bull job behind each schedule, used to remove it on cancel, pause or edit:
+-- the repeat key for recurring schedules, the job ID (once:<id>) for one-off ones
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS job_key TEXT;
+
+COMMENT ON COLUMN public.scheduled_tweets.job_key IS 'Bull repeat key or job ID; NULL while nothing is queued';
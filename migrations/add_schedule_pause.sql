@@ -0,0 +1,5 @@
+-- Recurring schedules can be paused (status 'paused') and resumed later
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.scheduled_tweets.paused_at IS 'When the schedule was paused; NULL while it runs';
@@ -0,0 +1,5 @@
+-- IANA timezone each schedule's cron expression or one-off time is read in
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC';
+
+COMMENT ON COLUMN public.scheduled_tweets.timezone IS 'IANA timezone for cron_time and scheduled_for, e.g. Europe/Berlin';
@@ -0,0 +1,12 @@
+-- Group thread segments in tweet_history under one thread ID
+ALTER TABLE tweet_history ADD COLUMN IF NOT EXISTS thread_id UUID;
+ALTER TABLE tweet_history ADD COLUMN IF NOT EXISTS thread_position INTEGER;
+
+-- Ordered thread segments for scheduled threads
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS thread_segments JSONB;
+
+COMMENT ON COLUMN public.scheduled_tweets.thread_segments IS 'Ordered thread segments ({ text, imagePrompt, imageUrl, imageFile }) posted as a reply chain';
+
+-- Add index for looking up all segments of a thread
+CREATE INDEX IF NOT EXISTS idx_tweet_history_thread_id ON tweet_history(thread_id);
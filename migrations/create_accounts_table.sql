@@ -0,0 +1,34 @@
+-- Create accounts table for additional X accounts posted to from one instance
+CREATE TABLE IF NOT EXISTS public.accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    handle TEXT,
+    credentials_encrypted TEXT NOT NULL,
+    timezone TEXT,
+    daily_tweet_limit INTEGER,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.accounts IS 'X accounts in addition to the default one configured through TWITTER_* env vars';
+COMMENT ON COLUMN public.accounts.credentials_encrypted IS 'AES-256-GCM encrypted JSON of apiKey, apiSecret, accessToken, accessSecret';
+COMMENT ON COLUMN public.accounts.timezone IS 'Default IANA timezone for this account''s schedules';
+COMMENT ON COLUMN public.accounts.daily_tweet_limit IS 'Daily post limit; NULL uses the configured default';
+COMMENT ON COLUMN public.accounts.status IS 'active or disabled';
+
+-- Credentials are only readable with the service key
+ALTER TABLE public.accounts ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_accounts_updated_at
+BEFORE UPDATE ON public.accounts
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- NULL account_id means the default account
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES public.accounts(id);
+ALTER TABLE tweet_history ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES public.accounts(id);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweets_account_id ON public.scheduled_tweets(account_id);
+CREATE INDEX IF NOT EXISTS idx_tweet_history_account_id ON tweet_history(account_id);
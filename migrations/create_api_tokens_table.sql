@@ -0,0 +1,20 @@
+-- Create api_tokens table for bearer-token access to the JSON endpoints
+CREATE TABLE IF NOT EXISTS public.api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{read}',
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_token_hash ON public.api_tokens(token_hash);
+
+COMMENT ON TABLE public.api_tokens IS 'Hashed bearer tokens for API access';
+COMMENT ON COLUMN public.api_tokens.token_hash IS 'SHA-256 hex digest of the token; the plain token is never stored';
+COMMENT ON COLUMN public.api_tokens.scopes IS 'Granted scopes: read, post, schedule, admin (admin implies all)';
+COMMENT ON COLUMN public.api_tokens.revoked_at IS 'When set, the token is rejected on its next use';
+
+-- Tokens are only readable with the service key
+ALTER TABLE public.api_tokens ENABLE ROW LEVEL SECURITY;
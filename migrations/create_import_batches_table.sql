@@ -0,0 +1,26 @@
+-- Create import_batches table: posts created together from one CSV or JSON upload
+CREATE TABLE IF NOT EXISTS public.import_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT,
+    format TEXT NOT NULL CHECK (format IN ('csv', 'json')),
+    account_id UUID REFERENCES public.accounts(id),
+    row_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'importing', -- importing, imported, failed, cancelled
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    cancelled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_created_at ON public.import_batches(created_at DESC);
+
+COMMENT ON TABLE public.import_batches IS 'Bulk imports of posts; every post of a batch can be cancelled at once';
+COMMENT ON COLUMN public.import_batches.name IS 'Uploaded file name, or a name given to pasted rows';
+COMMENT ON COLUMN public.import_batches.account_id IS 'Account the posts were imported for; NULL is the default account';
+
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES public.import_batches(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.scheduled_tweets.batch_id IS 'Import batch that created this schedule; NULL if created another way';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tweets_batch_id ON public.scheduled_tweets(batch_id)
+    WHERE batch_id IS NOT NULL;
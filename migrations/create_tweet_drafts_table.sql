@@ -0,0 +1,27 @@
+-- Scheduled tweets waiting for, or past, human review
+CREATE TABLE IF NOT EXISTS public.tweet_drafts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schedule_id UUID REFERENCES public.scheduled_tweets(id) ON DELETE SET NULL,
+    schedule_type TEXT,
+    account_id UUID REFERENCES public.accounts(id),
+    text TEXT NOT NULL,
+    generated_text TEXT NOT NULL,
+    include_image BOOLEAN DEFAULT FALSE,
+    image_path TEXT,
+    image_prompt TEXT,
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, rejected, expired, posted, failed
+    review_deadline TIMESTAMP WITH TIME ZONE NOT NULL,
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    tweet_id TEXT,
+    posted_at TIMESTAMP WITH TIME ZONE,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tweet_drafts_status ON public.tweet_drafts(status);
+
+-- NULL follows REVIEW_MODE; true/false overrides it for the schedule
+ALTER TABLE IF EXISTS public.scheduled_tweets
+    ADD COLUMN IF NOT EXISTS requires_review BOOLEAN;
@@ -0,0 +1,28 @@
+-- Create tweet_metrics table: time series of public engagement metrics for posted tweets
+CREATE TABLE IF NOT EXISTS public.tweet_metrics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tweet_id TEXT NOT NULL,
+    account_id UUID,
+    likes INTEGER NOT NULL DEFAULT 0,
+    reposts INTEGER NOT NULL DEFAULT 0,
+    replies INTEGER NOT NULL DEFAULT 0,
+    quotes INTEGER NOT NULL DEFAULT 0,
+    impressions INTEGER NOT NULL DEFAULT 0,
+    bookmarks INTEGER NOT NULL DEFAULT 0,
+    collected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tweet_metrics_tweet_id ON public.tweet_metrics(tweet_id, collected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tweet_metrics_collected_at ON public.tweet_metrics(collected_at);
+
+COMMENT ON TABLE public.tweet_metrics IS 'Snapshots of public metrics per posted tweet, one row per collection';
+COMMENT ON COLUMN public.tweet_metrics.account_id IS 'Account that posted the tweet; NULL is the default account';
+
+-- When each post's metrics were last collected, so the collector can pick the posts that are due
+ALTER TABLE IF EXISTS public.tweet_history
+    ADD COLUMN IF NOT EXISTS metrics_collected_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.tweet_history.metrics_collected_at IS 'Last metrics collection for this post; NULL if never collected';
+
+CREATE INDEX IF NOT EXISTS idx_tweet_history_metrics ON public.tweet_history(posted_at)
+    WHERE tweet_id IS NOT NULL AND status = 'success';
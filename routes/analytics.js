@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+
+const { validate, schemas } = require('../utils/validation');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Only import real services if not in demo mode
+let analyticsService, accountService;
+if (!config.isDemoMode) {
+  analyticsService = require('../services/AnalyticsService');
+  accountService = require('../services/AccountService');
+}
+
+// ---- Analytics Page ----
+// The JSON API and export are under /dashboard/analytics
+router.get('/', requireAuth('read'), async (req, res) => {
+  try {
+    const filters = validate(schemas.analyticsQuery, req.query);
+
+    const [report, accounts] = config.isDemoMode
+      ? [null, []]
+      : await Promise.all([
+        analyticsService.getReport(filters),
+        accountService.listAccounts(),
+      ]);
+
+    // The same filters, for the export link
+    const query = new URLSearchParams(Object.entries(req.query).filter(([, value]) => typeof value === 'string' && value));
+
+    res.render('analytics', {
+      report,
+      accounts,
+      filters: { accountId: filters.accountId || '', timezone: filters.timezone || '' },
+      exportUrl: `/dashboard/analytics/export${query.toString() ? `?${query}` : ''}`,
+      isDemoMode: config.isDemoMode,
+    });
+  } catch (error) {
+    logger.error('Failed to load analytics:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+module.exports = router;
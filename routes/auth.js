@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const authService = require('../services/AuthService');
+
+// Only redirect back to paths on this site. Browsers read `\` as `/` and drop tabs and
+// newlines, so `/\evil.example` would leave the site; the path must resolve on our origin.
+const NEXT_ORIGIN = 'http://localhost';
+const safeNext = (next) => {
+  if (typeof next !== 'string' || !next.startsWith('/') || /[\\\u0000-\u001f\u007f]/.test(next)) {
+    return '/';
+  }
+  try {
+    const url = new URL(next, NEXT_ORIGIN);
+    return url.origin === NEXT_ORIGIN ? `${url.pathname}${url.search}${url.hash}` : '/';
+  } catch {
+    return '/';
+  }
+};
+
+const sessionCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: config.auth.sessionTtlHours * 60 * 60 * 1000,
+});
+
+// ---- Dashboard Login ----
+router.get('/login', (req, res) => {
+  res.render('login', { next: safeNext(req.query.next), error: null });
+});
+
+router.post('/login', (req, res) => {
+  const { username, password } = req.body;
+  const next = safeNext(req.body.next);
+
+  try {
+    if (!authService.verifyPassword(username, password)) {
+      logger.warn('Failed dashboard login attempt:', { username, ip: req.ip });
+      return res.status(401).render('login', { next, error: 'Invalid username or password' });
+    }
+
+    res.cookie(authService.sessionCookieName, authService.createSession(username), sessionCookieOptions());
+    logger.info('Dashboard login:', username);
+    res.redirect(next);
+  } catch (error) {
+    logger.error('Dashboard login failed:', error.message);
+    res.status(503).render('login', { next, error: error.message });
+  }
+});
+
+router.post('/logout', (req, res) => {
+  res.clearCookie(authService.sessionCookieName, { ...sessionCookieOptions(), maxAge: undefined });
+  res.redirect('/login');
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+const { validate, schemas } = require('../utils/validation');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Only import real services if not in demo mode
+let calendarService, accountService;
+if (!config.isDemoMode) {
+  calendarService = require('../services/CalendarService');
+  accountService = require('../services/AccountService');
+}
+
+// ---- Calendar Page ----
+// The same data as JSON is at /dashboard/calendar
+router.get('/', requireAuth('read'), async (req, res) => {
+  try {
+    const filters = validate(schemas.calendarQuery, req.query);
+
+    const [calendar, accounts] = config.isDemoMode
+      ? [null, []]
+      : await Promise.all([
+        calendarService.getCalendar(filters),
+        accountService.listAccounts(),
+      ]);
+
+    res.render('calendar', {
+      calendar,
+      accounts,
+      filters: { view: filters.view, accountId: filters.accountId || '', timezone: filters.timezone || '' },
+      isDemoMode: config.isDemoMode,
+    });
+  } catch (error) {
+    logger.error('Failed to load calendar:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,25 @@ const router = express.Router();
 const databaseService = require('../services/DatabaseService');
 const queueService = require('../services/QueueService');
 const twitterService = require('../services/TwitterService');
+const accountService = require('../services/AccountService');
+const authService = require('../services/AuthService');
+const scheduleService = require('../services/ScheduleService');
+const blackoutService = require('../services/BlackoutService');
+const analyticsService = require('../services/AnalyticsService');
+const calendarService = require('../services/CalendarService');
+const importService = require('../services/ImportService');
 const logger = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { requireAuth } = require('../middleware/auth');
 
 // Dashboard API endpoints
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireAuth('read'), async (req, res) => {
   try {
-    const [tweetStats, queueStats, rateLimitStatus] = await Promise.all([
+    const [tweetStats, queueStats, rateLimitStatus, accountStats] = await Promise.all([
       databaseService.getTweetStats(),
       queueService.getQueueStats(),
       twitterService.getRateLimitStatus(),
+      accountService.getAccountStats(),
     ]);
 
     res.json({
@@ -20,6 +30,7 @@ router.get('/stats', async (req, res) => {
         tweets: tweetStats,
         queues: queueStats,
         rateLimit: rateLimitStatus,
+        accounts: accountStats,
       },
     });
   } catch (error) {
@@ -31,8 +42,123 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Upcoming runs that fall inside quiet hours or a blackout
+router.get('/blackouts', requireAuth('read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+    // Recurring schedules stay active after their runs mark them sent or failed
+    const schedules = await databaseService.getScheduledTweets();
+    const runs = await blackoutService.getAffectedRuns(schedules, { days, limit: 200 });
+
+    res.json({ success: true, data: runs, days });
+  } catch (error) {
+    logger.error('Failed to get runs affected by blackouts:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Upcoming runs and past posts by day for a week or month
+router.get('/calendar', requireAuth('read'), async (req, res) => {
+  try {
+    const filters = validate(schemas.calendarQuery, req.query);
+    const calendar = await calendarService.getCalendar(filters);
+    res.json({ success: true, data: calendar });
+  } catch (error) {
+    logger.error('Failed to get calendar:', error.message);
+    res.status(error.message.startsWith('Validation error') ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Engagement by hour, weekday, tone, image and schedule type for a date range
+router.get('/analytics', requireAuth('read'), async (req, res) => {
+  try {
+    const filters = validate(schemas.analyticsQuery, req.query);
+    const report = await analyticsService.getReport(filters);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    logger.error('Failed to get analytics:', error.message);
+    res.status(error.message.startsWith('Validation error') ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// The same report with every post and its metrics, as a JSON download
+router.get('/analytics/export', requireAuth('read'), async (req, res) => {
+  try {
+    const filters = validate(schemas.analyticsQuery, req.query);
+    const report = await analyticsService.getReport({ ...filters, includePosts: true });
+
+    res.attachment(`analytics-${report.range.from}-to-${report.range.to}.json`);
+    res.json(report);
+  } catch (error) {
+    logger.error('Failed to export analytics:', error.message);
+    res.status(error.message.startsWith('Validation error') ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Bulk import: `content` is the text of a CSV or JSON file. A preview validates every row
+// without saving; an import saves the rows as one batch only if all of them are valid.
+router.get('/imports', requireAuth('read'), async (req, res) => {
+  try {
+    const batches = await importService.listBatches();
+    res.json({ success: true, data: batches });
+  } catch (error) {
+    logger.error('Failed to get import batches:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/imports/preview', requireAuth('schedule'), async (req, res) => {
+  try {
+    const upload = validate(schemas.importUpload, req.body);
+    const preview = await importService.preview(upload);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    logger.error('Failed to preview import:', error.message);
+    res.status(error.message.startsWith('Validation error') ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/imports', requireAuth('schedule'), async (req, res) => {
+  try {
+    const upload = validate(schemas.importUpload, req.body);
+    const result = await importService.importRows(upload);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Failed to import posts:', error.message);
+    res.status(error.message.startsWith('Validation error') ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/imports/:id/cancel', requireAuth('schedule'), async (req, res) => {
+  try {
+    const result = await importService.cancelBatch(req.params.id);
+    res.json({ success: true, data: result, message: 'Import batch cancelled' });
+  } catch (error) {
+    logger.error('Failed to cancel import batch:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Tweet history endpoint
-router.get('/history', async (req, res) => {
+router.get('/history', requireAuth('read'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
@@ -58,7 +184,7 @@ router.get('/history', async (req, res) => {
 });
 
 // Queue management endpoints
-router.get('/queue/stats', async (req, res) => {
+router.get('/queue/stats', requireAuth('read'), async (req, res) => {
   try {
     const stats = await queueService.getQueueStats();
     res.json({ success: true, data: stats });
@@ -68,7 +194,7 @@ router.get('/queue/stats', async (req, res) => {
   }
 });
 
-router.post('/queue/clear', async (req, res) => {
+router.post('/queue/clear', requireAuth('admin'), async (req, res) => {
   try {
     // Only allow clearing failed jobs for safety
     const { queueType } = req.body;
@@ -89,7 +215,18 @@ router.post('/queue/clear', async (req, res) => {
 });
 
 // System maintenance endpoints
-router.post('/maintenance/cleanup', async (req, res) => {
+// Re-register missing queue jobs for active schedules and remove orphan jobs
+router.post('/maintenance/reconcile', requireAuth('admin'), async (req, res) => {
+  try {
+    const report = await scheduleService.reconcile();
+    res.json({ success: true, data: report });
+  } catch (error) {
+    logger.error('Schedule reconciliation failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/maintenance/cleanup', requireAuth('admin'), async (req, res) => {
   try {
     await databaseService.cleanup();
     res.json({ success: true, message: 'Database cleanup completed' });
@@ -99,4 +236,81 @@ router.post('/maintenance/cleanup', async (req, res) => {
   }
 });
 
+// Account management
+router.get('/accounts', requireAuth('read'), async (req, res) => {
+  try {
+    const accounts = await accountService.listAccounts();
+    res.json({ success: true, data: accounts });
+  } catch (error) {
+    logger.error('Failed to get accounts:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/accounts', requireAuth('admin'), async (req, res) => {
+  try {
+    const accountData = validate(schemas.account, req.body);
+    const account = await accountService.createAccount(accountData);
+    res.status(201).json({ success: true, data: account });
+  } catch (error) {
+    logger.error('Failed to create account:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/accounts/:id', requireAuth('admin'), async (req, res) => {
+  try {
+    const updates = validate(schemas.accountUpdate, req.body);
+    const account = await accountService.updateAccount(req.params.id, updates);
+    res.json({ success: true, data: account });
+  } catch (error) {
+    logger.error('Failed to update account:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/accounts/:id/disable', requireAuth('admin'), async (req, res) => {
+  try {
+    const account = await accountService.disableAccount(req.params.id);
+    res.json({ success: true, data: account, message: 'Account disabled' });
+  } catch (error) {
+    logger.error('Failed to disable account:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API token management
+router.get('/tokens', requireAuth('admin'), async (req, res) => {
+  try {
+    const tokens = await databaseService.getApiTokens();
+    res.json({ success: true, data: tokens });
+  } catch (error) {
+    logger.error('Failed to get API tokens:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/tokens', requireAuth('admin'), async (req, res) => {
+  try {
+    const { name, scopes } = validate(schemas.apiToken, req.body);
+    const token = await authService.createApiToken(name, scopes);
+
+    // The plain token cannot be retrieved again after this response
+    res.status(201).json({ success: true, data: token });
+  } catch (error) {
+    logger.error('Failed to create API token:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/tokens/:id/revoke', requireAuth('admin'), async (req, res) => {
+  try {
+    const token = await authService.revokeApiToken(req.params.id);
+    res.json({ success: true, data: token, message: 'API token revoked' });
+  } catch (error) {
+    logger.error('Failed to revoke API token:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
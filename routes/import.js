@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+
+const { validate, schemas } = require('../utils/validation');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Only import real services if not in demo mode
+let importService, accountService;
+if (!config.isDemoMode) {
+  importService = require('../services/ImportService');
+  accountService = require('../services/AccountService');
+}
+
+// The file is read as text straight from memory; it's never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.maxFileSize,
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .csv and .json files can be imported.'));
+    }
+  },
+});
+
+// An uploaded file wins over pasted rows
+const readUpload = (req) => validate(schemas.importUpload, {
+  ...req.body,
+  content: req.file ? req.file.buffer.toString('utf8') : req.body.content,
+  name: req.body.name || (req.file ? req.file.originalname : undefined),
+});
+
+const renderPage = async (res, { preview = null, form = {} } = {}) => {
+  const [batches, accounts] = config.isDemoMode
+    ? [[], []]
+    : await Promise.all([importService.listBatches(), accountService.listAccounts()]);
+
+  res.render('import', { preview, form, batches, accounts, isDemoMode: config.isDemoMode });
+};
+
+// ---- Import Page ----
+// The JSON API is under /dashboard/imports
+router.get('/', requireAuth('read'), async (req, res) => {
+  try {
+    await renderPage(res);
+  } catch (error) {
+    logger.error('Failed to load import page:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+// Shows every row as it would be scheduled, with its errors; nothing is saved yet
+router.post('/preview', requireAuth('schedule'), upload.single('file'), async (req, res) => {
+  try {
+    const form = readUpload(req);
+
+    if (config.isDemoMode) {
+      return res.render('success', {
+        message: '✅ Demo Mode: The rows would be checked and previewed here in production mode. Configure API keys to enable imports.',
+      });
+    }
+
+    const preview = await importService.preview(form);
+    await renderPage(res, { preview, form: { ...form, format: preview.format } });
+  } catch (error) {
+    logger.error('Failed to preview import:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+router.post('/', requireAuth('schedule'), async (req, res) => {
+  try {
+    const form = readUpload(req);
+
+    if (config.isDemoMode) {
+      return res.render('success', {
+        message: '✅ Demo Mode: The rows would be scheduled as one import batch in production mode. Configure API keys to enable imports.',
+      });
+    }
+
+    const { batch, schedules } = await importService.importRows(form);
+
+    logger.info('Posts imported:', { batch: batch.id, posts: schedules.length });
+    res.render('success', {
+      message: `✅ Imported ${schedules.length} posts. The whole batch can be cancelled from the import page.`,
+    });
+  } catch (error) {
+    logger.error('Failed to import posts:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+router.post('/batches/:id/cancel', requireAuth('schedule'), async (req, res) => {
+  try {
+    if (config.isDemoMode) {
+      return res.render('success', { message: '✅ Demo Mode: The batch would be cancelled in production mode.' });
+    }
+
+    const { cancelled, kept } = await importService.cancelBatch(req.params.id);
+    res.render('success', {
+      message: `✅ Import batch cancelled: ${cancelled} posts cancelled${kept ? `, ${kept} already posted or cancelled were kept` : ''}`,
+    });
+  } catch (error) {
+    logger.error('Failed to cancel import batch:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+
+const { validate, schemas } = require('../utils/validation');
+const { formatInTimezone } = require('../utils/time');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Only import real services if not in demo mode
+let draftService;
+if (!config.isDemoMode) {
+  draftService = require('../services/DraftService');
+}
+
+// Who approved or rejected a draft, for the audit columns
+const reviewerName = (req) => {
+  if (req.auth.type === 'token') return `token:${req.auth.tokenId}`;
+  return req.auth.user || req.auth.type;
+};
+
+// ---- Review Queue ----
+router.get('/', requireAuth('read'), async (req, res) => {
+  try {
+    const [pending, recent] = config.isDemoMode
+      ? [[], []]
+      : await Promise.all([
+        draftService.getDrafts('pending'),
+        draftService.getDrafts(),
+      ]);
+
+    res.render('review', {
+      pending,
+      reviewed: recent.filter(draft => draft.status !== 'pending'),
+      review: config.review,
+      formatTime: (date) => formatInTimezone(new Date(date), config.scheduling.defaultTimezone),
+      isDemoMode: config.isDemoMode,
+    });
+  } catch (error) {
+    logger.error('Failed to load review queue:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+// ---- Drafts API ----
+router.get('/drafts', requireAuth('read'), async (req, res) => {
+  try {
+    if (config.isDemoMode) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const drafts = await draftService.getDrafts(req.query.status || null);
+    res.json({ success: true, data: drafts });
+  } catch (error) {
+    logger.error('Failed to get drafts:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ---- Approve / Reject ----
+router.post('/:id/approve', requireAuth('post'), async (req, res) => {
+  try {
+    const { text } = validate(schemas.draftReview, req.body);
+
+    if (config.isDemoMode) {
+      return res.render('success', { message: '✅ Demo Mode: The draft would be approved and posted in production mode.' });
+    }
+
+    await draftService.approveDraft(req.params.id, { text, reviewer: reviewerName(req) });
+    res.render('success', { message: '✅ Draft approved and queued for posting' });
+  } catch (error) {
+    logger.error('Failed to approve draft:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+router.post('/:id/reject', requireAuth('post'), async (req, res) => {
+  try {
+    const { reason } = validate(schemas.draftReview, req.body);
+
+    if (config.isDemoMode) {
+      return res.render('success', { message: '✅ Demo Mode: The draft would be rejected in production mode.' });
+    }
+
+    await draftService.rejectDraft(req.params.id, { reason, reviewer: reviewerName(req) });
+    res.render('success', { message: '✅ Draft rejected' });
+  } catch (error) {
+    logger.error('Failed to reject draft:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+module.exports = router;
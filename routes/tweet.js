@@ -3,16 +3,31 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
 
 // Import services and utilities
 const { validate, schemas } = require('../utils/validation');
+const {
+  getNextScheduleRun,
+  isActiveSchedule,
+  toDateTimeLocal,
+  formatInTimezone,
+  getScheduleCron,
+  getNextCronRuns,
+  getCronRunsPerDay,
+} = require('../utils/time');
+const { requireAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const config = require('../config');
 const demoService = require('../services/DemoService');
 
 // Only import real services if not in demo mode
-let twitterService, aiService, databaseService, queueService;
+let twitterService, aiService, databaseService, queueService, accountService, imageService, scheduleService, slottingService;
 if (!config.isDemoMode) {
+  accountService = require('../services/AccountService');
+  imageService = require('../services/ImageService');
+  scheduleService = require('../services/ScheduleService');
+  slottingService = require('../services/SlottingService');
   twitterService = require('../services/TwitterService');
   aiService = require('../services/AIService');
   databaseService = require('../services/DatabaseService');
@@ -34,15 +49,68 @@ const upload = multer({
   },
 });
 
+// Remove every file multer stored for this request
+const cleanupUploads = (files = []) => {
+  files.forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Attach uploaded images to thread segments; the composer names them `segments[<index>][image]`
+const attachSegmentImages = (segments, files = []) => segments.map((segment, index) => {
+  const file = files.find(f => f.fieldname === `segments[${index}][image]`);
+  return { ...segment, imageFile: file ? file.path : null };
+});
+
+// Scheduled threads keep their segment images as stored assets, like the post image, so every
+// run can attach them. Nothing is kept if one can't be stored.
+const storeSegmentImages = async (segments, files = []) => {
+  const stored = [];
+  try {
+    for (const [index, segment] of segments.entries()) {
+      const file = files.find(f => f.fieldname === `segments[${index}][image]`);
+      stored.push({ ...segment, imagePath: file ? await imageService.storeUpload(file) : null });
+    }
+    return stored;
+  } catch (error) {
+    await Promise.all(stored.filter(segment => segment.imagePath).map(segment => imageService.deleteAsset(segment.imagePath)));
+    throw error;
+  }
+};
+
+// Same rule as ScheduleService.isEditable, which isn't loaded in demo mode
+const isEditableSchedule = (schedule) => schedule.status !== 'cancelled' &&
+  (schedule.schedule_type !== 'once' || ['scheduled', 'failed'].includes(schedule.status));
+
+// Values to pre-fill the edit form with, in the schedule's timezone
+const scheduleFormValues = (schedule) => {
+  const timezone = schedule.timezone || config.scheduling.defaultTimezone;
+  const [minute, hour] = (schedule.cron_time || '').split(' ');
+  const hasTime = ['daily', 'weekly'].includes(schedule.schedule_type) && /^\d+$/.test(minute) && /^\d+$/.test(hour);
+
+  return {
+    timezone,
+    time: hasTime ? `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}` : '09:00',
+    scheduledFor: schedule.scheduled_for ? toDateTimeLocal(new Date(schedule.scheduled_for), timezone) : '',
+    customCron: schedule.schedule_type === 'custom' ? schedule.cron_time : '',
+    reviewMode: schedule.requires_review === true ? 'review' : schedule.requires_review === false ? 'auto' : 'default',
+    blackoutPolicy: schedule.blackout_policy || 'default',
+    jitterMinutes: schedule.jitter_minutes || 0,
+    tone: schedule.tone || 'engaging',
+  };
+};
+
 // ---- Rate Limit Status ----
-router.get('/rate-status', async (req, res) => {
+router.get('/rate-status', requireAuth('read'), async (req, res) => {
   try {
     if (config.isDemoMode) {
       res.json(demoService.getDemoRateLimitStatus());
       return;
     }
     
-    const status = await twitterService.getRateLimitStatus();
+    const status = await twitterService.getRateLimitStatus(req.query.accountId || null);
     res.json(status);
   } catch (error) {
     logger.error('Rate limit check failed:', error.message);
@@ -54,7 +122,7 @@ router.get('/rate-status', async (req, res) => {
 });
 
 // ---- AI Tweet Generation (One-time) ----
-router.post('/ai-generate', async (req, res) => {
+router.post('/ai-generate', requireAuth('post'), async (req, res) => {
   try {
     const validatedData = validate(schemas.aiGenerate, req.body);
     const { prompt, includeImage, imagePrompt } = validatedData;
@@ -78,6 +146,7 @@ router.post('/ai-generate', async (req, res) => {
       data: {
         text: aiResult.text,
         includeImage: aiResult.includeImage,
+        tone: aiResult.tone,
         generatedAt: aiResult.generatedAt,
         prompt,
         demoMode: config.isDemoMode,
@@ -94,7 +163,7 @@ router.post('/ai-generate', async (req, res) => {
 });
 
 // ---- AI Multiple Tweet Suggestions ----
-router.post('/ai-suggestions', async (req, res) => {
+router.post('/ai-suggestions', requireAuth('post'), async (req, res) => {
   try {
     const { prompt, count = 3, tone = 'engaging' } = req.body;
     
@@ -125,51 +194,75 @@ router.post('/ai-suggestions', async (req, res) => {
 });
 
 // ---- Post Tweet Immediately ----
-router.post('/post', upload.single('image'), async (req, res) => {
+router.post('/post', requireAuth('post'), upload.any(), async (req, res) => {
   try {
     const validatedData = validate(schemas.tweet, req.body);
-    const { text, imagePrompt } = validatedData;
+    const { text, imagePrompt, segments, accountId, blackoutPolicy, tone } = validatedData;
 
     if (config.isDemoMode) {
-      // Clean up uploaded file if it exists
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      // Clean up uploaded files if they exist
+      cleanupUploads(req.files);
       
       return res.render('success', { 
-        message: '✅ Demo Mode: Tweet would be posted immediately in production mode! Configure API keys to enable real posting.',
+        message: segments
+          ? `✅ Demo Mode: A ${segments.length}-part thread would be posted immediately in production mode! Configure API keys to enable real posting.`
+          : '✅ Demo Mode: Tweet would be posted immediately in production mode! Configure API keys to enable real posting.',
       });
     }
 
-    // Check rate limits
-    const rateLimitStatus = await twitterService.getRateLimitStatus();
+    // Fails for unknown or disabled accounts
+    await accountService.getAccount(accountId);
+
+    // Check rate limits for the account that will post
+    const rateLimitStatus = await twitterService.getRateLimitStatus(accountId || null);
     if (rateLimitStatus.status !== 'OK') {
+      cleanupUploads(req.files);
       return res.status(429).render('error', {
         message: `❌ ${rateLimitStatus.message}`,
       });
     }
 
+    // Every thread segment is a separate post against the daily limit
+    if (segments && rateLimitStatus.remaining < segments.length) {
+      cleanupUploads(req.files);
+      return res.status(429).render('error', {
+        message: `❌ Thread has ${segments.length} segments but only ${rateLimitStatus.remaining} tweets remain today.`,
+      });
+    }
+
     // Prepare tweet data
-    const tweetData = {
-      text,
-      imagePrompt,
-      imageFile: req.file ? req.file.path : null,
-    };
+    let tweetData;
+    if (segments) {
+      tweetData = {
+        threadId: uuidv4(),
+        accountId: accountId || null,
+        segments: attachSegmentImages(segments, req.files),
+        blackoutPolicy,
+      };
+    } else {
+      const imageFile = (req.files || []).find(file => file.fieldname === 'image');
+      tweetData = {
+        text,
+        imagePrompt,
+        accountId: accountId || null,
+        imageFile: imageFile ? imageFile.path : null,
+        blackoutPolicy,
+        tone: tone || null,
+      };
+    }
 
     // Add to immediate tweet queue
     await queueService.addTweetJob({ tweetData });
 
     res.render('success', { 
-      message: '✅ Tweet queued for posting!',
+      message: segments ? `✅ Thread of ${segments.length} tweets queued for posting!` : '✅ Tweet queued for posting!',
     });
 
   } catch (error) {
     logger.error('Tweet posting failed:', error.message);
     
-    // Clean up uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    // Clean up uploaded files if they exist
+    cleanupUploads(req.files);
 
     res.render('error', { 
       message: `❌ ${error.message}`,
@@ -178,87 +271,93 @@ router.post('/post', upload.single('image'), async (req, res) => {
 });
 
 // ---- Schedule Tweet ----
-router.post('/schedule', upload.single('image'), async (req, res) => {
+router.post('/schedule', requireAuth('schedule'), upload.any(), async (req, res) => {
+  let imagePath = null;
+  let threadSegments = null;
+
   try {
     const validatedData = validate(schemas.schedule, req.body);
     const { 
       text, 
       scheduleType, 
       customPrompt, 
+      tone,
       imagePrompt, 
       includeImage, 
+      segments,
+      accountId,
       customCron, 
-      time 
+      time,
+      scheduledFor,
+      timezone,
+      reviewMode,
+      blackoutPolicy,
+      jitterMinutes,
     } = validatedData;
 
-    // Clean up uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    // The tweet image and thread segment images are reused on every run, so only other uploads are discarded
+    const uploadedImage = (req.files || []).find(file => file.fieldname === 'image');
+    const segmentFiles = (req.files || []).filter(file => file.fieldname.startsWith('segments['));
+    cleanupUploads((req.files || []).filter(file => file !== uploadedImage && !segmentFiles.includes(file)));
 
     if (config.isDemoMode) {
+      cleanupUploads(req.files);
+
       return res.render('success', { 
         message: '✅ Demo Mode: Tweet would be scheduled successfully in production mode! The scheduling system would use Redis-based queues to manage the 17 req/day limit efficiently. Configure API keys to enable real scheduling.',
       });
     }
 
-    // Convert schedule type to cron expression
-    let cronTime;
-    switch (scheduleType) {
-      case 'everyMinute':
-        cronTime = '*/1 * * * *';
-        break;
-      case 'hourly':
-        cronTime = '0 * * * *';
-        break;
-      case 'daily':
-        const [hour, minute] = (time || '00:00').split(':');
-        cronTime = `${minute} ${hour} * * *`;
-        break;
-      case 'weekly':
-        const [wHour, wMinute] = (time || '00:00').split(':');
-        cronTime = `${wMinute} ${wHour} * * 0`; // Sunday
-        break;
-      case 'custom':
-        cronTime = customCron;
-        break;
-      default:
-        throw new Error('Invalid schedule type');
-    }
+    // Cron expressions and one-off times are read in the schedule's timezone
+    const account = await accountService.getAccount(accountId);
+    const scheduleTimezone = timezone || account.timezone || config.scheduling.defaultTimezone;
 
-    // Process image if uploaded
-    let imageUrl = null;
-    if (req.file) {
-      // For now, we'll use a placeholder URL
-      imageUrl = 'https://picsum.photos/800/600';
-    }
+    // Queued posts get their time from the posting slots instead
+    const isQueued = scheduleType === 'queue';
+    const { cronTime, runAt } = isQueued
+      ? { cronTime: null, runAt: null }
+      : scheduleService.resolveTiming({ scheduleType, time, customCron, scheduledFor }, scheduleTimezone);
+
+    // Keep the uploaded image as a stored asset so every run can attach it
+    imagePath = uploadedImage ? await imageService.storeUpload(uploadedImage) : null;
+    threadSegments = segments ? await storeSegmentImages(segments, segmentFiles) : null;
+    const includeImageFlag = !!imagePath || includeImage === 'true' || includeImage === true;
+
+    // NULL follows the global REVIEW_MODE setting
+    const requiresReview = reviewMode === 'default' ? null : reviewMode === 'review';
 
     // Create scheduled tweet record
     const scheduleData = {
       schedule_type: scheduleType,
       cron_time: cronTime,
+      scheduled_for: runAt ? runAt.toISOString() : null,
+      timezone: scheduleTimezone,
+      account_id: accountId || null,
       status: 'scheduled',
       custom_prompt: customPrompt || null,
-      include_image: includeImage === 'true' || includeImage === true,
-      image_url: imageUrl,
+      tone: tone || null,
+      include_image: includeImageFlag,
+      image_path: imagePath,
       image_prompt: imagePrompt || null,
+      requires_review: requiresReview,
+      // NULL follows BLACKOUT_POLICY
+      blackout_policy: blackoutPolicy === 'default' ? null : blackoutPolicy,
+      jitter_minutes: jitterMinutes || 0,
       text: text || null,
+      thread_segments: threadSegments,
     };
 
-    const scheduledTweet = await databaseService.createScheduledTweet(scheduleData);
+    if (isQueued) {
+      const queuedTweet = await slottingService.enqueue(scheduleData);
 
-    // Add to scheduled tweet queue with properly structured data
-    const jobData = {
-      id: scheduledTweet.id,
-      schedule_type: scheduleType,
-      custom_prompt: customPrompt || null,
-      include_image: includeImage === 'true' || includeImage === true,
-      image_prompt: imagePrompt || null,
-      text: text || null,
-      status: 'scheduled'
-    };
-    
-    await queueService.addScheduledTweetJob(jobData, cronTime);
+      logger.info('Tweet added to the posting queue:', queuedTweet.id);
+      return res.render('success', {
+        message: `✅ Tweet added to the queue. Its slot: ${formatInTimezone(new Date(queuedTweet.scheduled_for), scheduleTimezone)}`,
+      });
+    }
+
+    // Saves the row and registers its queue job
+    const scheduledTweet = await scheduleService.createSchedule(scheduleData);
 
     logger.info('Tweet scheduled successfully:', scheduledTweet.id);
     res.render('success', { 
@@ -267,6 +366,13 @@ router.post('/schedule', upload.single('image'), async (req, res) => {
 
   } catch (error) {
     logger.error('Tweet scheduling failed:', error.message);
+    cleanupUploads(req.files);
+    if (imagePath) {
+      await imageService.deleteAsset(imagePath);
+    }
+    await Promise.all((threadSegments || [])
+      .filter(segment => segment.imagePath)
+      .map(segment => imageService.deleteAsset(segment.imagePath)));
     
     res.render('error', { 
       message: `❌ ${error.message}`,
@@ -275,35 +381,252 @@ router.post('/schedule', upload.single('image'), async (req, res) => {
 });
 
 // ---- View Scheduled Tweets ----
-router.get('/scheduled', async (req, res) => {
+router.get('/scheduled', requireAuth('read'), async (req, res) => {
   try {
-    const scheduledTweets = await databaseService.getScheduledTweets();
-    res.render('scheduled', { tweets: scheduledTweets });
+    const scheduledTweets = config.isDemoMode
+      ? demoService.getDemoTweets()
+      : await databaseService.getScheduledTweets();
+
+    const tweets = scheduledTweets.map(tweet => ({
+      ...tweet,
+      nextRun: getNextScheduleRun(tweet, config.scheduling.defaultTimezone),
+      editable: isEditableSchedule(tweet),
+      pausable: tweet.schedule_type !== 'once' && isActiveSchedule(tweet),
+    }));
+
+    res.render('scheduled', { tweets, isDemoMode: config.isDemoMode });
   } catch (error) {
     logger.error('Failed to get scheduled tweets:', error.message);
     res.render('error', { message: `❌ ${error.message}` });
   }
 });
 
-// ---- Cancel Scheduled Tweet ----
-router.post('/cancel/:id', async (req, res) => {
+// ---- Posting Queue ----
+router.get('/queue', requireAuth('read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    await databaseService.updateScheduledTweet(id, { 
-      status: 'cancelled',
-      cancelled_at: new Date().toISOString(),
+    if (config.isDemoMode) {
+      return res.json({ success: true, data: { accountId: 'default', timezone: config.scheduling.defaultTimezone, template: [], posts: [] } });
+    }
+
+    const queue = await slottingService.getQueue(req.query.accountId || null);
+    res.json({ success: true, data: queue });
+  } catch (error) {
+    logger.error('Failed to get the posting queue:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ---- Cron Preview ----
+// Next fire times of a recurring cadence, and whether it posts more often than the daily limit
+router.get('/cron-preview', requireAuth('read'), async (req, res) => {
+  try {
+    const { scheduleType, customCron, time, timezone, count, accountId } = validate(schemas.cronPreview, req.query);
+
+    const cronTime = getScheduleCron(scheduleType, { time, customCron });
+    const [scheduleTimezone, dailyLimit] = config.isDemoMode
+      ? [timezone || config.scheduling.defaultTimezone, config.rateLimits.dailyTweetLimit]
+      : [
+        timezone || await accountService.getTimezone(accountId || null),
+        (await accountService.getQuotaLimits(accountId || null)).day,
+      ];
+
+    const runsPerDay = getCronRunsPerDay(cronTime);
+    const exceedsDailyLimit = !!dailyLimit && runsPerDay > dailyLimit;
+
+    res.json({
+      success: true,
+      data: {
+        cron: cronTime,
+        timezone: scheduleTimezone,
+        runs: getNextCronRuns(cronTime, scheduleTimezone, count).map(runAt => ({
+          at: runAt.toISOString(),
+          local: formatInTimezone(runAt, scheduleTimezone),
+        })),
+        runsPerDay,
+        dailyLimit,
+        exceedsDailyLimit,
+        warning: exceedsDailyLimit
+          ? `This posts ${runsPerDay.toLocaleString('en-US')} times a day against a daily limit of ${dailyLimit}. Runs over the limit wait until the quota resets.`
+          : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Cron preview failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ---- Edit Scheduled Tweet ----
+router.get('/edit/:id', requireAuth('read'), async (req, res) => {
+  try {
+    const schedule = config.isDemoMode
+      ? demoService.getDemoTweets().find(tweet => String(tweet.id) === req.params.id)
+      : await databaseService.getScheduledTweet(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).render('error', { message: '❌ Scheduled tweet not found' });
+    }
+    if (!isEditableSchedule(schedule)) {
+      return res.render('error', { message: `❌ This ${schedule.schedule_type} tweet is ${schedule.status} and can no longer be edited` });
+    }
+
+    res.render('edit', {
+      schedule,
+      form: scheduleFormValues(schedule),
+      defaultTimezone: config.scheduling.defaultTimezone,
+      isDemoMode: config.isDemoMode,
     });
+  } catch (error) {
+    logger.error('Failed to load scheduled tweet for editing:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+router.post('/edit/:id', requireAuth('schedule'), upload.any(), async (req, res) => {
+  let imagePath = null;
+
+  try {
+    const {
+      text,
+      scheduleType,
+      customPrompt,
+      tone,
+      imagePrompt,
+      includeImage,
+      removeImage,
+      customCron,
+      time,
+      scheduledFor,
+      timezone,
+      reviewMode,
+      blackoutPolicy,
+      jitterMinutes,
+    } = validate(schemas.scheduleEdit, req.body);
+
+    const uploadedImage = (req.files || []).find(file => file.fieldname === 'image');
+    cleanupUploads((req.files || []).filter(file => file !== uploadedImage));
+
+    if (config.isDemoMode) {
+      cleanupUploads(req.files);
+      return res.render('success', { message: '✅ Demo Mode: The scheduled tweet would be updated in production mode.' });
+    }
+
+    const current = await databaseService.getScheduledTweet(req.params.id);
+    if (!current) {
+      throw new Error('Scheduled tweet not found');
+    }
+
+    const scheduleTimezone = timezone || current.timezone;
+    const { cronTime, runAt } = scheduleService.resolveTiming({ scheduleType, time, customCron, scheduledFor }, scheduleTimezone);
+
+    const changes = {
+      schedule_type: scheduleType,
+      cron_time: cronTime,
+      scheduled_for: runAt ? runAt.toISOString() : null,
+      timezone: scheduleTimezone,
+    };
+    if (text !== undefined) changes.text = text || null;
+    if (customPrompt !== undefined) changes.custom_prompt = customPrompt || null;
+    if (tone !== undefined) changes.tone = tone;
+    if (imagePrompt !== undefined) changes.image_prompt = imagePrompt || null;
+    if (includeImage !== undefined) changes.include_image = includeImage;
+    if (reviewMode !== undefined) changes.requires_review = reviewMode === 'default' ? null : reviewMode === 'review';
+    if (blackoutPolicy !== undefined) changes.blackout_policy = blackoutPolicy === 'default' ? null : blackoutPolicy;
+    // One-off runs have no jitter, so switching to one clears it
+    if (jitterMinutes !== undefined || scheduleType === 'once') changes.jitter_minutes = jitterMinutes || 0;
+
+    // Giving a queued post a time of its own takes it out of the queue
+    const leavesQueue = current.auto_slot &&
+      (changes.schedule_type !== 'once' || changes.scheduled_for !== new Date(current.scheduled_for).toISOString());
+    if (leavesQueue) changes.auto_slot = false;
+
+    if (uploadedImage) {
+      imagePath = await imageService.storeUpload(uploadedImage);
+      changes.image_path = imagePath;
+      changes.include_image = true;
+    } else if (removeImage) {
+      changes.image_path = null;
+    }
+
+    const merged = { ...current, ...changes };
+    if (!merged.text && !merged.custom_prompt && !merged.thread_segments) {
+      throw new Error('Validation error: A scheduled tweet needs text or a prompt');
+    }
+
+    await scheduleService.updateSchedule(current.id, changes);
+    if (leavesQueue) {
+      await slottingService.reslot(current.account_id);
+    }
+
+    // The replaced image is no longer referenced by the schedule
+    if (current.image_path && changes.image_path !== undefined && changes.image_path !== current.image_path) {
+      await imageService.deleteAsset(current.image_path);
+    }
+
+    logger.info('Scheduled tweet updated:', current.id);
+    res.render('success', { message: '✅ Scheduled tweet updated' });
+  } catch (error) {
+    logger.error('Failed to update scheduled tweet:', error.message);
+    cleanupUploads(req.files);
+    if (imagePath) {
+      await imageService.deleteAsset(imagePath);
+    }
+
+    res.status(error.message.startsWith('Validation error') ? 400 : 500).render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+// ---- Pause / Resume Recurring Schedules ----
+router.post('/pause/:id', requireAuth('schedule'), async (req, res) => {
+  try {
+    if (config.isDemoMode) {
+      return res.render('success', { message: '✅ Demo Mode: The schedule would be paused in production mode.' });
+    }
+
+    await scheduleService.pauseSchedule(req.params.id);
+    res.render('success', { message: '⏸️ Schedule paused. Resume it to continue from the next run.' });
+  } catch (error) {
+    logger.error('Failed to pause schedule:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+router.post('/resume/:id', requireAuth('schedule'), async (req, res) => {
+  try {
+    if (config.isDemoMode) {
+      return res.render('success', { message: '✅ Demo Mode: The schedule would be resumed in production mode.' });
+    }
+
+    await scheduleService.resumeSchedule(req.params.id);
+    res.render('success', { message: '▶️ Schedule resumed' });
+  } catch (error) {
+    logger.error('Failed to resume schedule:', error.message);
+    res.render('error', { message: `❌ ${error.message}` });
+  }
+});
+
+// ---- Cancel Scheduled Tweet ----
+router.post('/cancel/:id', requireAuth('schedule'), async (req, res) => {
+  try {
+    if (config.isDemoMode) {
+      return res.render('success', { message: '✅ Demo Mode: The tweet would be cancelled in production mode.' });
+    }
+
+    // Marks the row cancelled and removes its queued job by the stored key
+    const cancelled = await scheduleService.cancelSchedule(req.params.id);
 
-    // Try to cancel from queue as well
-    // Note: This is a best effort - job might already be processed
-    try {
-      await queueService.cancelScheduledTweet(id);
-    } catch (queueError) {
-      logger.warn('Could not cancel job from queue:', queueError.message);
+    // Later posts in the queue move up into the freed slot
+    if (cancelled.auto_slot) {
+      await slottingService.reslot(cancelled.account_id);
     }
 
-    logger.info('Tweet cancelled:', id);
+    logger.info('Tweet cancelled:', req.params.id);
     res.render('success', { message: '✅ Tweet cancelled successfully' });
   } catch (error) {
     logger.error('Failed to cancel tweet:', error.message);
@@ -312,7 +635,7 @@ router.post('/cancel/:id', async (req, res) => {
 });
 
 // ---- Tweet History API ----
-router.get('/history', async (req, res) => {
+router.get('/history', requireAuth('read'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
@@ -338,7 +661,7 @@ router.get('/history', async (req, res) => {
 });
 
 // ---- AI Tweet Suggestions by Category ----
-router.get('/ai-suggestions/:category', async (req, res) => {
+router.get('/ai-suggestions/:category', requireAuth('read'), async (req, res) => {
   try {
     const { category } = req.params;
     
@@ -1,11 +1,12 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config');
 const logger = require('../utils/logger');
-const axios = require('axios');
+const { createProvider } = require('./ai');
 
 class AIService {
-  constructor() {
-    this.ai = new GoogleGenerativeAI(config.ai.geminiApiKey);
+  constructor(provider = createProvider(config.ai)) {
+    // Text generation backend, see services/ai
+    this.provider = provider;
+    logger.info(`AI provider: ${provider.name} (${provider.model})`);
     
     // Store previous tweets to ensure variety
     this.previousTweets = [];
@@ -23,10 +24,9 @@ class AIService {
 
       const enhancedPrompt = this.buildPrompt(prompt, tone, maxLength, previousContext);
       
-      const model = this.ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
-      const response = await model.generateContent(enhancedPrompt);
+      const response = await this.provider.generateText(enhancedPrompt);
       
-      const tweetText = this.cleanTweetText(response.response.text(), maxLength);
+      const tweetText = this.cleanTweetText(response, maxLength);
       
       // Store in history to avoid repetition
       this.addToHistory(tweetText);
@@ -39,21 +39,17 @@ class AIService {
       return {
         text: tweetText,
         includeImage,
+        tone,
         generatedAt: new Date().toISOString(),
       };
     } catch (error) {
       logger.error('Failed to generate AI tweet:', error.message);
       
-      // Provide more specific error messages
-      if (error.message.includes('API_KEY_INVALID') || error.message.includes('demo')) {
-        throw new Error('AI service not configured. Please set GEMINI_API_KEY in your .env file.');
-      } else if (error.message.includes('QUOTA_EXCEEDED')) {
-        throw new Error('AI service quota exceeded. Please check your Gemini API usage limits.');
-      } else if (error.message.includes('SAFETY')) {
-        throw new Error('AI service blocked content due to safety filters. Please try a different prompt.');
-      } else {
-        throw new Error(`AI tweet generation failed: ${error.message}`);
+      // Providers already translate known failures into specific "AI service ..." messages
+      if (error.message.startsWith('AI service')) {
+        throw error;
       }
+      throw new Error(`AI tweet generation failed: ${error.message}`);
     }
   }
 
@@ -105,8 +101,7 @@ Important: Return ONLY the tweet text, no quotes, no explanations, no additional
 
   async generateImagePrompt(tweetText) {
     try {
-      const model = this.ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
-      const response = await model.generateContent(`Based on this tweet: "${tweetText}"
+      const response = await this.provider.generateText(`Based on this tweet: "${tweetText}"
 
 Create a short, descriptive image prompt (under 100 characters) that would create a relevant, engaging image for this tweet. Focus on:
 - Visual elements that complement the tweet
@@ -116,7 +111,7 @@ Create a short, descriptive image prompt (under 100 characters) that would creat
 
 Return only the image prompt, no explanations.`);
       
-      const imagePrompt = response.response.text().replace(/^["']|["']$/g, '').trim();
+      const imagePrompt = response.replace(/^["']|["']$/g, '').trim();
       
       logger.info('Image prompt generated:', imagePrompt);
       return imagePrompt;
@@ -142,8 +137,10 @@ Return only the image prompt, no explanations.`);
           variation: i + 1,
         });
         
-        // Small delay to ensure variety
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Small delay to ensure variety (and to respect hosted providers' rate limits)
+        if (this.provider.requestDelayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.provider.requestDelayMs));
+        }
       }
       
       return tweets;
@@ -206,4 +203,5 @@ Return only the image prompt, no explanations.`);
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
+module.exports.AIService = AIService;
\ No newline at end of file
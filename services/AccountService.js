@@ -0,0 +1,198 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./DatabaseService');
+const quotaService = require('./QuotaService');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+const CREDENTIAL_FIELDS = ['apiKey', 'apiSecret', 'accessToken', 'accessSecret'];
+
+// The account configured through TWITTER_* env vars; jobs without an accountId post through it
+const DEFAULT_ACCOUNT_ID = 'default';
+
+class AccountService {
+  constructor() {
+    this.defaultAccountId = DEFAULT_ACCOUNT_ID;
+    this.cache = new Map();
+    this.cacheTtl = 5 * 60 * 1000; // 5 minutes
+  }
+
+  // Normalise the ways a job can refer to the default account
+  resolveId(accountId) {
+    return accountId && accountId !== DEFAULT_ACCOUNT_ID ? accountId : DEFAULT_ACCOUNT_ID;
+  }
+
+  async createAccount({ name, handle, timezone, dailyTweetLimit, quietHours, blackoutDates, credentials }) {
+    const account = await databaseService.createAccount({
+      name,
+      handle: handle || null,
+      timezone: timezone || null,
+      daily_tweet_limit: dailyTweetLimit || null,
+      quiet_hours: quietHours || [],
+      blackout_dates: blackoutDates || [],
+      credentials_encrypted: encrypt(JSON.stringify(this.pickCredentials(credentials))),
+      status: 'active',
+    });
+
+    return this.toPublic(account);
+  }
+
+  async updateAccount(id, { name, handle, timezone, dailyTweetLimit, quietHours, blackoutDates, credentials }) {
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (handle !== undefined) updates.handle = handle || null;
+    if (timezone !== undefined) updates.timezone = timezone || null;
+    if (dailyTweetLimit !== undefined) updates.daily_tweet_limit = dailyTweetLimit || null;
+    if (quietHours !== undefined) updates.quiet_hours = quietHours;
+    if (blackoutDates !== undefined) updates.blackout_dates = blackoutDates;
+    if (credentials) {
+      updates.credentials_encrypted = encrypt(JSON.stringify(this.pickCredentials(credentials)));
+    }
+
+    const account = await databaseService.updateAccount(id, updates);
+    this.invalidate(id);
+    return this.toPublic(account);
+  }
+
+  // Disabled accounts keep their history but can no longer post
+  async disableAccount(id) {
+    const account = await databaseService.updateAccount(id, { status: 'disabled' });
+    this.invalidate(id);
+    logger.info('Account disabled:', id);
+    return this.toPublic(account);
+  }
+
+  // Every account that can post, starting with the default one
+  async listAccounts() {
+    const accounts = await databaseService.getAccounts();
+    return [this.getDefaultAccount(), ...accounts.map(account => this.toPublic(account))];
+  }
+
+  // Tweet counts and today's quota usage for every account
+  async getAccountStats() {
+    const accounts = await this.listAccounts();
+
+    return Promise.all(accounts.map(async account => {
+      const accountId = account.isDefault ? null : account.id;
+      const [tweets, usage] = await Promise.all([
+        databaseService.getTweetStats(accountId),
+        quotaService.getUsage(accountId, this.quotaLimitsFor(account)),
+      ]);
+
+      return {
+        ...account,
+        tweets,
+        dailyCount: usage.windows.day.used,
+        dailyLimit: usage.windows.day.limit,
+        remaining: usage.remaining,
+        quota: usage.windows,
+        quotaBlockedBy: usage.blockedBy,
+        quotaReset: usage.reset,
+      };
+    }));
+  }
+
+  // Account settings without credentials
+  async getAccount(accountId) {
+    const id = this.resolveId(accountId);
+    if (id === DEFAULT_ACCOUNT_ID) {
+      return this.getDefaultAccount();
+    }
+
+    const account = await this.loadAccount(id);
+    return this.toPublic(account);
+  }
+
+  // Decrypted credentials, in the shape config.twitter uses
+  async getCredentials(accountId) {
+    const id = this.resolveId(accountId);
+    if (id === DEFAULT_ACCOUNT_ID) {
+      return config.twitter;
+    }
+
+    const account = await this.loadAccount(id);
+    try {
+      return JSON.parse(decrypt(account.credentials_encrypted));
+    } catch (error) {
+      logger.error(`Failed to decrypt credentials for account ${id}:`, error.message);
+      throw new Error(`Twitter API credentials for account ${account.name} could not be decrypted. Check ACCOUNT_ENCRYPTION_KEY.`);
+    }
+  }
+
+  // The API plan's caps, with the account's own daily limit in place of the plan's
+  async getQuotaLimits(accountId) {
+    return this.quotaLimitsFor(await this.getAccount(accountId));
+  }
+
+  quotaLimitsFor(account) {
+    return {
+      ...quotaService.defaultLimits(),
+      day: account.dailyTweetLimit || config.rateLimits.dailyTweetLimit,
+    };
+  }
+
+  async getTimezone(accountId) {
+    const account = await this.getAccount(accountId);
+    return account.timezone || config.scheduling.defaultTimezone;
+  }
+
+  async loadAccount(id) {
+    const cached = this.cache.get(id);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.account;
+    }
+
+    const account = await databaseService.getAccount(id);
+    if (!account || account.status !== 'active') {
+      throw new Error(`Account not found or disabled: ${id}`);
+    }
+
+    this.cache.set(id, { account, loadedAt: Date.now() });
+    return account;
+  }
+
+  invalidate(id) {
+    this.cache.delete(id);
+  }
+
+  getDefaultAccount() {
+    return {
+      id: DEFAULT_ACCOUNT_ID,
+      name: 'Default account',
+      handle: null,
+      timezone: config.scheduling.defaultTimezone,
+      dailyTweetLimit: config.rateLimits.dailyTweetLimit,
+      quietHours: config.scheduling.quietHours,
+      // BLACKOUT_DATES entries are a single date or a start/end range
+      blackoutDates: config.scheduling.blackoutDates.map(range => {
+        const [start, end] = range.split('/');
+        return { start, end: end || start };
+      }),
+      isDefault: true,
+    };
+  }
+
+  pickCredentials(credentials = {}) {
+    const missing = CREDENTIAL_FIELDS.filter(field => !credentials[field]);
+    if (missing.length > 0) {
+      throw new Error(`Missing account credentials: ${missing.join(', ')}`);
+    }
+    return Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, credentials[field]]));
+  }
+
+  toPublic(account) {
+    return {
+      id: account.id,
+      name: account.name,
+      handle: account.handle,
+      timezone: account.timezone,
+      dailyTweetLimit: account.daily_tweet_limit,
+      quietHours: account.quiet_hours || [],
+      blackoutDates: account.blackout_dates || [],
+      status: account.status,
+      isDefault: false,
+      createdAt: account.created_at,
+    };
+  }
+}
+
+module.exports = new AccountService();
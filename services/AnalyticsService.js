@@ -0,0 +1,152 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getZonedParts, zonedTimeToUtc, startOfZonedDay, toDateTimeLocal } = require('../utils/time');
+const databaseService = require('./DatabaseService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range covered when the request doesn't give one
+const DEFAULT_RANGE_DAYS = 30;
+
+// A group needs this many measured posts before it can be named the best one
+const MIN_POSTS_FOR_BEST = 3;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Engagement analytics over the metrics MetricsService collects. Each post counts with its
+// latest snapshot; engagements are likes, reposts, replies and quotes, and the engagement
+// rate divides them by impressions. Posts are grouped by the hour and weekday they went
+// out (in the report's timezone), the AI tone they were written in, whether they had an
+// image and their schedule type.
+class AnalyticsService {
+  // The report for posts between `from` and `to` (YYYY-MM-DD, inclusive, read in `timezone`).
+  // includePosts adds every post with its metrics, for exports.
+  async getReport({ from, to, accountId, timezone, includePosts = false } = {}) {
+    try {
+      const range = this.resolveRange({ from, to, timezone });
+      const posts = await databaseService.getPostsForAnalytics({ from: range.start, to: range.end, accountId });
+      const snapshots = await databaseService.getLatestMetrics(posts.map(post => post.tweet_id));
+      const metricsByTweet = new Map(snapshots.map(snapshot => [snapshot.tweet_id, snapshot]));
+
+      const measured = posts
+        .filter(post => metricsByTweet.has(post.tweet_id))
+        .map(post => ({ post, metrics: metricsByTweet.get(post.tweet_id) }));
+
+      const byHour = this.groupBy(measured, ({ post }) => {
+        const { hour } = getZonedParts(new Date(post.posted_at), range.timezone);
+        return { key: hour, label: `${String(hour).padStart(2, '0')}:00` };
+      });
+      const byWeekday = this.groupBy(measured, ({ post }) => {
+        const { weekday } = getZonedParts(new Date(post.posted_at), range.timezone);
+        return { key: weekday, label: WEEKDAYS[weekday] };
+      });
+      // Hand-written posts have no tone
+      const byTone = this.groupBy(measured, ({ post }) => ({ key: post.tone || 'none', label: post.tone || 'hand-written' }));
+      const byMedia = this.groupBy(measured, ({ post }) => post.has_image
+        ? { key: 'image', label: 'With image' }
+        : { key: 'text', label: 'Text only' });
+      const byScheduleType = this.groupBy(measured, ({ post }) => {
+        const type = post.schedule_type || post.type || 'unknown';
+        return { key: type, label: type };
+      });
+
+      const report = {
+        range: { from: range.from, to: range.to, timezone: range.timezone },
+        accountId: accountId || 'all',
+        summary: { posts: posts.length, ...this.summarize(measured) },
+        byHour,
+        byWeekday,
+        byTone,
+        byMedia,
+        byScheduleType,
+        best: {
+          hour: this.best(byHour),
+          weekday: this.best(byWeekday),
+          tone: this.best(byTone.filter(group => group.key !== 'none')),
+          media: this.best(byMedia),
+          scheduleType: this.best(byScheduleType),
+        },
+        minPostsForBest: MIN_POSTS_FOR_BEST,
+        generatedAt: new Date().toISOString(),
+      };
+
+      if (includePosts) {
+        report.posts = posts.map(post => ({ ...post, metrics: metricsByTweet.get(post.tweet_id) || null }));
+      }
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to build analytics report:', error);
+      throw error;
+    }
+  }
+
+  // The requested dates as instants; defaults to the last DEFAULT_RANGE_DAYS days up to today
+  resolveRange({ from, to, timezone } = {}) {
+    const zone = timezone || config.scheduling.defaultTimezone;
+    const today = toDateTimeLocal(new Date(), zone).slice(0, 10);
+    const toDate = to || today;
+    const fromDate = from ||
+      toDateTimeLocal(new Date(zonedTimeToUtc(`${toDate}T12:00`, zone).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS), zone).slice(0, 10);
+
+    if (fromDate > toDate) {
+      throw new Error('Validation error: "from" must not be after "to"');
+    }
+
+    return {
+      from: fromDate,
+      to: toDate,
+      timezone: zone,
+      start: zonedTimeToUtc(`${fromDate}T00:00`, zone),
+      end: startOfZonedDay(zonedTimeToUtc(`${toDate}T00:00`, zone), zone, 1),
+    };
+  }
+
+  // Totals and averages of measured posts
+  summarize(measured) {
+    const totals = { likes: 0, reposts: 0, replies: 0, quotes: 0, impressions: 0, bookmarks: 0 };
+    for (const { metrics } of measured) {
+      for (const field of Object.keys(totals)) {
+        totals[field] += metrics[field] || 0;
+      }
+    }
+
+    const engagements = totals.likes + totals.reposts + totals.replies + totals.quotes;
+    return {
+      measured: measured.length,
+      ...totals,
+      engagements,
+      avgEngagements: measured.length ? Math.round(engagements / measured.length * 100) / 100 : 0,
+      avgImpressions: measured.length ? Math.round(totals.impressions / measured.length * 100) / 100 : 0,
+      engagementRate: totals.impressions ? Math.round(engagements / totals.impressions * 10000) / 10000 : null,
+    };
+  }
+
+  // Groups measured posts by the { key, label } that keyOf returns, ordered by key
+  groupBy(measured, keyOf) {
+    const groups = new Map();
+    for (const entry of measured) {
+      const { key, label } = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, { key, label, entries: [] });
+      groups.get(key).entries.push(entry);
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+      .map(({ key, label, entries }) => {
+        const { measured: posts, ...stats } = this.summarize(entries);
+        return { key, label, posts, ...stats };
+      });
+  }
+
+  // The group with the most engagements per post, among those with enough posts to tell
+  best(groups) {
+    const candidates = groups.filter(group => group.posts >= MIN_POSTS_FOR_BEST);
+    if (candidates.length === 0) return null;
+
+    const top = candidates.reduce((best, group) => (group.avgEngagements > best.avgEngagements ? group : best));
+    return { key: top.key, label: top.label, posts: top.posts, avgEngagements: top.avgEngagements, engagementRate: top.engagementRate };
+  }
+}
+
+module.exports = new AnalyticsService();
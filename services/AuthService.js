@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./DatabaseService');
+
+// `admin` implies every other scope
+const SCOPES = ['read', 'post', 'schedule', 'admin'];
+
+class AuthService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.sessionCookieName = 'xbot_session';
+
+    this.sessionSecret = config.auth.sessionSecret;
+    if (!this.sessionSecret) {
+      // Sessions still work, but every restart logs everyone out
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('SESSION_SECRET is not set; using a random secret for this process.');
+    }
+  }
+
+  hasScope(grantedScopes = [], requiredScope) {
+    return grantedScopes.includes('admin') || grantedScopes.includes(requiredScope);
+  }
+
+  // ---- Dashboard login ----
+  verifyPassword(username, password) {
+    if (!config.auth.adminPassword) {
+      throw new Error('Dashboard login is disabled. Set ADMIN_PASSWORD in your .env file.');
+    }
+
+    return this.safeEqual(username || '', config.auth.adminUsername) &&
+           this.safeEqual(password || '', config.auth.adminPassword);
+  }
+
+  // Stateless session: base64url(payload).signature
+  createSession(username) {
+    const payload = Buffer.from(JSON.stringify({
+      sub: username,
+      exp: Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000,
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  verifySession(value) {
+    if (!value || !value.includes('.')) return null;
+
+    const [payload, signature] = value.split('.');
+    if (!this.safeEqual(signature, this.sign(payload))) return null;
+
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return session.exp > Date.now() ? session : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // ---- API tokens ----
+  async createApiToken(name, scopes) {
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Invalid token scopes: ${invalidScopes.join(', ')}`);
+    }
+
+    // The plain token is only ever returned here; the database keeps its hash
+    const token = `xbt_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = await databaseService.createApiToken({
+      name,
+      scopes,
+      token_hash: this.hashToken(token),
+    });
+
+    return { token, ...record };
+  }
+
+  // Looked up on every request, so a revoked token stops working immediately
+  async verifyApiToken(token) {
+    if (!token) return null;
+
+    const record = await databaseService.getActiveApiTokenByHash(this.hashToken(token));
+    if (!record) return null;
+
+    databaseService.updateApiToken(record.id, { last_used_at: new Date().toISOString() })
+      .catch(err => logger.warn('Failed to record API token usage:', err.message));
+
+    return record;
+  }
+
+  async revokeApiToken(id) {
+    const record = await databaseService.updateApiToken(id, { revoked_at: new Date().toISOString() });
+    logger.info('API token revoked:', id);
+    return record;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(value).digest('base64url');
+  }
+
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+module.exports = new AuthService();
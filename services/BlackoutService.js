@@ -0,0 +1,180 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  getZonedParts,
+  toDateTimeLocal,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  getNextCronRuns,
+  isActiveSchedule,
+} = require('../utils/time');
+const accountService = require('./AccountService');
+
+// Windows chained end to end (e.g. quiet hours running into a blackout) are followed at most this far
+const MAX_CHAINED_WINDOWS = 50;
+
+// Upcoming runs checked per recurring schedule, so an every-minute schedule stays cheap
+const MAX_RUNS_PER_SCHEDULE = 200;
+
+const RANGE_PATTERN = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+
+// Quiet hours and blackout dates: times an account must not post. Quiet hours are daily
+// HH:MM-HH:MM ranges and blackouts inclusive date ranges, both read in the account's
+// timezone. A run that falls inside one is skipped or deferred to the end of it,
+// following the schedule's blackout policy.
+class BlackoutService {
+  // An account's quiet hours and blackouts, normalised for checking
+  async getWindows(accountId) {
+    const account = await accountService.getAccount(accountId);
+    const timezone = account.timezone || config.scheduling.defaultTimezone;
+
+    const quietHours = (account.quietHours || []).map(range => {
+      const match = RANGE_PATTERN.exec(range);
+      if (!match) {
+        logger.warn(`Ignoring invalid quiet hours "${range}" for account ${accountService.resolveId(accountId)}`);
+        return null;
+      }
+      const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+      return { label: range, start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+    }).filter(range => range && range.start !== range.end);
+
+    const blackouts = (account.blackoutDates || []).map(blackout => ({
+      start: blackout.start,
+      end: blackout.end || blackout.start,
+      reason: blackout.reason || null,
+    }));
+
+    return { timezone, quietHours, blackouts };
+  }
+
+  // The quiet hours or blackout that covers `at`, with the instant it ends, or null
+  findBlock({ timezone, quietHours, blackouts }, at) {
+    const date = toDateTimeLocal(at, timezone).slice(0, 10);
+
+    const blackout = blackouts.find(range => range.start <= date && date <= range.end);
+    if (blackout) {
+      return {
+        kind: 'blackout',
+        reason: blackout.reason ? `Blackout: ${blackout.reason}` : `Blackout ${blackout.start} to ${blackout.end}`,
+        until: startOfZonedDay(zonedTimeToUtc(`${blackout.end}T00:00`, timezone), timezone, 1),
+      };
+    }
+
+    const { hour, minute } = getZonedParts(at, timezone);
+    const minutes = hour * 60 + minute;
+    for (const range of quietHours) {
+      const wraps = range.start > range.end;
+      const inside = wraps
+        ? minutes >= range.start || minutes < range.end
+        : minutes >= range.start && minutes < range.end;
+      if (!inside) continue;
+
+      // Past midnight the range ends today, before it ends tomorrow
+      const endsTomorrow = wraps && minutes >= range.start;
+      const endDate = toDateTimeLocal(startOfZonedDay(at, timezone, endsTomorrow ? 1 : 0), timezone).slice(0, 10);
+      const endTime = `${String(Math.floor(range.end / 60)).padStart(2, '0')}:${String(range.end % 60).padStart(2, '0')}`;
+      return {
+        kind: 'quiet_hours',
+        reason: `Quiet hours ${range.label}`,
+        until: zonedTimeToUtc(`${endDate}T${endTime}`, timezone),
+      };
+    }
+
+    return null;
+  }
+
+  // The block covering `at` with `until` moved past any window it runs into, or null
+  resolveBlock(windows, at) {
+    const block = this.findBlock(windows, at);
+    if (!block) return null;
+
+    let until = block.until;
+    for (let i = 0; i < MAX_CHAINED_WINDOWS; i++) {
+      const next = this.findBlock(windows, until);
+      if (!next) break;
+      until = next.until;
+    }
+    return { ...block, until };
+  }
+
+  // Whether the account may post at `at`; returns { kind, reason, until } when it may not
+  async check(accountId = null, at = new Date()) {
+    try {
+      return this.resolveBlock(await this.getWindows(accountId), at);
+    } catch (error) {
+      logger.error('Failed to check quiet hours and blackouts:', error);
+      throw error;
+    }
+  }
+
+  // skip or defer, from the schedule or BLACKOUT_POLICY
+  policyFor(schedule = {}) {
+    const policy = schedule.blackout_policy || schedule.blackoutPolicy;
+    return ['skip', 'defer'].includes(policy) ? policy : config.scheduling.blackoutPolicy;
+  }
+
+  // Runs of active schedules within the next `days` that fall inside quiet hours or a
+  // blackout, soonest first, with what will happen to each
+  async getAffectedRuns(schedules, { days = 7, limit = 50 } = {}) {
+    try {
+      const now = new Date();
+      const horizon = now.getTime() + days * 24 * 60 * 60 * 1000;
+      const windowsByAccount = new Map();
+      const affected = [];
+
+      for (const schedule of schedules.filter(isActiveSchedule)) {
+        const accountKey = accountService.resolveId(schedule.account_id);
+        if (!windowsByAccount.has(accountKey)) {
+          windowsByAccount.set(accountKey, await this.getWindows(schedule.account_id || null).catch(error => {
+            logger.warn(`Skipping blackout check for account ${accountKey}:`, error.message);
+            return null;
+          }));
+        }
+
+        const windows = windowsByAccount.get(accountKey);
+        if (!windows || (windows.quietHours.length === 0 && windows.blackouts.length === 0)) continue;
+
+        const policy = this.policyFor(schedule);
+        for (const runAt of this.upcomingRuns(schedule, now, horizon)) {
+          const block = this.resolveBlock(windows, runAt);
+          if (!block) continue;
+
+          affected.push({
+            scheduleId: schedule.id,
+            text: schedule.text || schedule.custom_prompt ||
+              (schedule.thread_segments ? schedule.thread_segments[0].text : 'AI Generated Tweet'),
+            accountId: accountKey,
+            timezone: windows.timezone,
+            runAt: runAt.toISOString(),
+            kind: block.kind,
+            reason: block.reason,
+            policy,
+            movedTo: policy === 'defer' ? block.until.toISOString() : null,
+          });
+        }
+      }
+
+      return affected.sort((a, b) => a.runAt.localeCompare(b.runAt)).slice(0, limit);
+    } catch (error) {
+      logger.error('Failed to list runs affected by blackouts:', error);
+      throw error;
+    }
+  }
+
+  upcomingRuns(schedule, now, horizon) {
+    try {
+      if (schedule.schedule_type === 'once') {
+        const runAt = new Date(schedule.scheduled_for);
+        return runAt.getTime() >= now.getTime() && runAt.getTime() <= horizon ? [runAt] : [];
+      }
+
+      const timezone = schedule.timezone || config.scheduling.defaultTimezone;
+      return getNextCronRuns(schedule.cron_time, timezone, MAX_RUNS_PER_SCHEDULE, now)
+        .filter(runAt => runAt.getTime() <= horizon);
+    } catch {
+      return [];
+    }
+  }
+}
+
+module.exports = new BlackoutService();
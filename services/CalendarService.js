@@ -0,0 +1,206 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { zonedTimeToUtc, toDateTimeLocal, getNextCronRuns, isActiveSchedule } = require('../utils/time');
+const databaseService = require('./DatabaseService');
+const accountService = require('./AccountService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upcoming runs expanded per recurring schedule, so an every-minute schedule stays cheap
+const MAX_RUNS_PER_SCHEDULE = 2000;
+
+// YYYY-MM-DD arithmetic on calendar dates, independent of any timezone
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const addMonths = (date, months) => {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10);
+};
+
+// Upcoming and past posts laid out by day for a week or a month. Active schedules are
+// expanded into their concrete runs, one-off and queued posts placed at their time, and
+// tweet_history fills in what already went out. Days where an account's posts would go
+// over its daily limit are flagged.
+class CalendarService {
+  async getCalendar({ view = 'week', date, timezone, accountId } = {}) {
+    try {
+      const range = this.resolveRange({ view, date, timezone });
+      const now = new Date();
+
+      const [schedules, history, accounts] = await Promise.all([
+        databaseService.getScheduledTweets(),
+        range.start < now
+          ? databaseService.getTweetHistoryBetween(range.start, new Date(Math.min(range.end.getTime(), now.getTime())), accountId)
+          : [],
+        accountService.listAccounts(),
+      ]);
+
+      const forAccount = schedules.filter(schedule => accountId === undefined || schedule.account_id === accountId);
+      const upcoming = this.expandSchedules(forAccount, new Date(Math.max(range.start.getTime(), now.getTime())), range.end, range.timezone);
+      const entries = [...this.historyEntries(history, range.timezone), ...upcoming.entries]
+        .sort((a, b) => a.at.localeCompare(b.at));
+
+      const days = range.days.map(day => ({ ...day, entries: entries.filter(entry => entry.date === day.date) }));
+      this.flagQuota(days, accounts);
+
+      return {
+        view: range.view,
+        timezone: range.timezone,
+        from: range.days[0].date,
+        to: range.days[range.days.length - 1].date,
+        anchor: range.anchor,
+        prev: range.prev,
+        next: range.next,
+        today: range.today,
+        days,
+        truncated: upcoming.truncated,
+      };
+    } catch (error) {
+      logger.error('Failed to build calendar:', error);
+      throw error;
+    }
+  }
+
+  // The days shown for a week (Monday to Sunday) or a month (the full weeks covering it)
+  resolveRange({ view = 'week', date, timezone } = {}) {
+    const zone = timezone || config.scheduling.defaultTimezone;
+    const today = toDateTimeLocal(new Date(), zone).slice(0, 10);
+    const anchor = date || today;
+
+    const first = view === 'month' ? `${anchor.slice(0, 8)}01` : anchor;
+    const last = view === 'month' ? addDays(addMonths(anchor, 1), -1) : anchor;
+    const startDate = addDays(first, -((weekdayOf(first) + 6) % 7));
+    const endDate = addDays(last, (7 - weekdayOf(last)) % 7);
+
+    const days = [];
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+      days.push({
+        date: day,
+        isToday: day === today,
+        // Days of the neighbouring months fill the first and last week of a month
+        inRange: view !== 'month' || day.slice(0, 7) === anchor.slice(0, 7),
+      });
+    }
+
+    return {
+      view,
+      timezone: zone,
+      anchor,
+      today,
+      days,
+      prev: view === 'month' ? addMonths(anchor, -1) : addDays(anchor, -7),
+      next: view === 'month' ? addMonths(anchor, 1) : addDays(anchor, 7),
+      start: zonedTimeToUtc(`${startDate}T00:00`, zone),
+      end: zonedTimeToUtc(`${addDays(endDate, 1)}T00:00`, zone),
+    };
+  }
+
+  // Runs of active schedules between `from` and `to`. Runs of a schedule on the same day
+  // share one entry.
+  expandSchedules(schedules, from, to, timezone) {
+    const entries = new Map();
+    const truncated = [];
+
+    for (const schedule of schedules) {
+      if (!isActiveSchedule(schedule)) continue;
+      const recurring = schedule.schedule_type !== 'once';
+
+      let runs;
+      try {
+        runs = recurring
+          ? getNextCronRuns(schedule.cron_time, schedule.timezone || config.scheduling.defaultTimezone, MAX_RUNS_PER_SCHEDULE, from)
+          : [new Date(schedule.scheduled_for)];
+      } catch (error) {
+        logger.warn(`Skipping schedule ${schedule.id} in the calendar:`, error.message);
+        continue;
+      }
+
+      const inRange = runs.filter(runAt => runAt >= from && runAt < to);
+      if (recurring && inRange.length === MAX_RUNS_PER_SCHEDULE) truncated.push(schedule.id);
+
+      for (const runAt of inRange) {
+        const local = toDateTimeLocal(runAt, timezone);
+        const key = `${schedule.id}:${local.slice(0, 10)}`;
+        if (!entries.has(key)) {
+          entries.set(key, {
+            kind: 'upcoming',
+            date: local.slice(0, 10),
+            at: runAt.toISOString(),
+            times: [],
+            scheduleId: schedule.id,
+            scheduleType: schedule.schedule_type,
+            queued: !!schedule.auto_slot,
+            text: schedule.text || schedule.custom_prompt ||
+              (schedule.thread_segments ? schedule.thread_segments[0].text : 'AI Generated Tweet'),
+            accountId: accountService.resolveId(schedule.account_id),
+            // Every thread segment is a post against the daily limit
+            posts: 0,
+          });
+        }
+        const entry = entries.get(key);
+        entry.times.push(local.slice(11, 16));
+        entry.posts += schedule.thread_segments ? schedule.thread_segments.length : 1;
+      }
+    }
+
+    return { entries: [...entries.values()], truncated };
+  }
+
+  // History rows as entries; the segments of a thread share one entry
+  historyEntries(history, timezone) {
+    const entries = new Map();
+
+    for (const row of history) {
+      const key = row.thread_id || row.id;
+      if (!entries.has(key)) {
+        const local = toDateTimeLocal(new Date(row.posted_at), timezone);
+        entries.set(key, {
+          kind: row.status === 'success' ? 'posted' : 'failed',
+          date: local.slice(0, 10),
+          at: new Date(row.posted_at).toISOString(),
+          times: [local.slice(11, 16)],
+          historyId: row.id,
+          tweetId: row.tweet_id || null,
+          scheduleType: row.schedule_type || row.type,
+          text: row.text,
+          error: row.error_message || null,
+          accountId: accountService.resolveId(row.account_id),
+          posts: 0,
+        });
+      }
+      const entry = entries.get(key);
+      if (row.status === 'success') entry.posts++;
+      // A thread that stopped part way counts as failed
+      if (row.status !== 'success') {
+        entry.kind = 'failed';
+        entry.error = row.error_message || entry.error;
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  // Marks days where an account's posts, done and planned, exceed its daily limit
+  flagQuota(days, accounts) {
+    const limits = new Map(accounts.map(account => [
+      accountService.resolveId(account.isDefault ? null : account.id),
+      { name: account.name, limit: accountService.quotaLimitsFor(account).day },
+    ]));
+
+    for (const day of days) {
+      const counts = new Map();
+      for (const entry of day.entries) {
+        counts.set(entry.accountId, (counts.get(entry.accountId) || 0) + entry.posts);
+      }
+
+      day.overQuota = [...counts.entries()]
+        .map(([accountId, posts]) => {
+          const account = limits.get(accountId) || { name: accountId, limit: config.rateLimits.dailyTweetLimit };
+          return { accountId, name: account.name, posts, limit: account.limit };
+        })
+        .filter(usage => usage.limit && usage.posts > usage.limit);
+    }
+  }
+}
+
+module.exports = new CalendarService();
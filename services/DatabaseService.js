@@ -8,6 +8,12 @@ class DatabaseService {
       scheduledTweets: 'scheduled_tweets',
       tweetHistory: 'tweet_history',
       rateLimits: 'rate_limits',
+      apiTokens: 'api_tokens',
+      accounts: 'accounts',
+      drafts: 'tweet_drafts',
+      tweetMetrics: 'tweet_metrics',
+      tweetMetricsLatest: 'tweet_metrics_latest',
+      importBatches: 'import_batches',
     };
   }
 
@@ -58,6 +64,45 @@ class DatabaseService {
     }
   }
 
+  async getScheduledTweet(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.scheduledTweets)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get scheduled tweet:', error.message);
+      throw error;
+    }
+  }
+
+  // Posts waiting in an account's auto-slot queue, oldest first; `null` means the default account
+  async getQueuedTweets(accountId = null) {
+    try {
+      let query = supabase
+        .from(this.tables.scheduledTweets)
+        .select('*')
+        .eq('auto_slot', true)
+        .eq('status', 'scheduled')
+        .order('created_at', { ascending: true });
+
+      query = accountId ? query.eq('account_id', accountId) : query.is('account_id', null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get queued tweets:', error.message);
+      throw error;
+    }
+  }
+
   async updateScheduledTweet(id, updates) {
     try {
       if (!id) {
@@ -163,31 +208,65 @@ class DatabaseService {
     }
   }
 
-  async getTweetStats() {
+  // Posts and failed attempts in [from, to), oldest first, for the calendar. accountId limits
+  // them to one account (`null` is the default account); undefined covers every account.
+  async getTweetHistoryBetween(from, to, accountId, limit = 5000) {
+    try {
+      let query = supabase
+        .from(this.tables.tweetHistory)
+        .select('id, text, tweet_id, status, type, schedule_type, account_id, has_image, thread_id, thread_position, error_message, posted_at')
+        .gte('posted_at', from.toISOString())
+        .lt('posted_at', to.toISOString());
+
+      if (accountId !== undefined) {
+        query = accountId === null ? query.is('account_id', null) : query.eq('account_id', accountId);
+      }
+
+      const { data, error } = await query
+        .order('posted_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get tweet history for range:', error.message);
+      throw error;
+    }
+  }
+
+  // Pass an account ID to limit the stats to one account; `null` means the default account
+  async getTweetStats(accountId) {
     try {
+      // Restrict a query to one account when accountId is given
+      const forAccount = (query) => {
+        if (accountId === undefined) return query;
+        return accountId === null ? query.is('account_id', null) : query.eq('account_id', accountId);
+      };
+
       // Get today's tweet count
       const today = new Date().toDateString();
       const startOfDay = new Date(today).toISOString();
       
-      const { data: todayTweets, error: todayError } = await supabase
+      const { data: todayTweets, error: todayError } = await forAccount(supabase
         .from(this.tables.tweetHistory)
         .select('id')
-        .gte('posted_at', startOfDay);
+        .gte('posted_at', startOfDay));
 
       if (todayError) throw todayError;
 
       // Get total tweet count
-      const { count: totalTweets, error: totalError } = await supabase
+      const { count: totalTweets, error: totalError } = await forAccount(supabase
         .from(this.tables.tweetHistory)
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true }));
 
       if (totalError) throw totalError;
 
       // Get scheduled tweets count
-      const { count: scheduledCount, error: scheduledError } = await supabase
+      const { count: scheduledCount, error: scheduledError } = await forAccount(supabase
         .from(this.tables.scheduledTweets)
         .select('*', { count: 'exact', head: true })
-        .eq('status', 'scheduled');
+        .eq('status', 'scheduled'));
 
       if (scheduledError) throw scheduledError;
 
@@ -206,6 +285,111 @@ class DatabaseService {
     }
   }
 
+  // Tweet Metrics Operations
+
+  // Successful posts since the given time, newest first, with when their metrics were last collected
+  async getPostsForMetrics(since, limit = 5000) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.tweetHistory)
+        .select('id, tweet_id, account_id, posted_at, metrics_collected_at')
+        .not('tweet_id', 'is', null)
+        .eq('status', 'success')
+        .gte('posted_at', since.toISOString())
+        .order('posted_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get posts for metrics:', error.message);
+      throw error;
+    }
+  }
+
+  async saveTweetMetrics(snapshots) {
+    try {
+      const collectedAt = new Date().toISOString();
+      const { error } = await supabase
+        .from(this.tables.tweetMetrics)
+        .insert(snapshots.map(snapshot => ({ id: uuidv4(), collected_at: collectedAt, ...snapshot })));
+
+      if (error) throw error;
+
+      return snapshots.length;
+    } catch (error) {
+      logger.error('Failed to save tweet metrics:', error.message);
+      throw error;
+    }
+  }
+
+  async markMetricsCollected(tweetIds, collectedAt = new Date()) {
+    try {
+      const { error } = await supabase
+        .from(this.tables.tweetHistory)
+        .update({ metrics_collected_at: collectedAt.toISOString() })
+        .in('tweet_id', tweetIds);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Failed to mark metrics collected:', error.message);
+      throw error;
+    }
+  }
+
+  // Successful posts in [from, to) for analytics, oldest first. accountId limits them to one
+  // account (`null` is the default account); undefined covers every account.
+  async getPostsForAnalytics({ from, to, accountId } = {}, limit = 10000) {
+    try {
+      let query = supabase
+        .from(this.tables.tweetHistory)
+        .select('id, tweet_id, account_id, posted_at, planned_at, has_image, tone, type, schedule_type')
+        .not('tweet_id', 'is', null)
+        .eq('status', 'success')
+        .gte('posted_at', from.toISOString())
+        .lt('posted_at', to.toISOString());
+
+      if (accountId !== undefined) {
+        query = accountId === null ? query.is('account_id', null) : query.eq('account_id', accountId);
+      }
+
+      const { data, error } = await query
+        .order('posted_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get posts for analytics:', error.message);
+      throw error;
+    }
+  }
+
+  // The most recent metrics snapshot of each of the given tweets
+  async getLatestMetrics(tweetIds) {
+    try {
+      // Chunked so the id list stays within URL limits
+      const chunkSize = 200;
+      const snapshots = [];
+      for (let i = 0; i < tweetIds.length; i += chunkSize) {
+        const { data, error } = await supabase
+          .from(this.tables.tweetMetricsLatest)
+          .select('tweet_id, likes, reposts, replies, quotes, impressions, bookmarks, collected_at')
+          .in('tweet_id', tweetIds.slice(i, i + chunkSize));
+
+        if (error) throw error;
+        snapshots.push(...data);
+      }
+
+      return snapshots;
+    } catch (error) {
+      logger.error('Failed to get latest tweet metrics:', error.message);
+      throw error;
+    }
+  }
+
   // Rate Limits Operations
   async saveRateLimitStatus(rateLimitData) {
     try {
@@ -230,6 +414,349 @@ class DatabaseService {
     }
   }
 
+  // Account Operations
+  async createAccount(accountData) {
+    try {
+      const data = {
+        id: uuidv4(),
+        ...accountData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      };
+
+      const { data: result, error } = await supabase
+        .from(this.tables.accounts)
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.info('Account created:', result.id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to create account:', error.message);
+      throw error;
+    }
+  }
+
+  async getAccounts(status = 'active') {
+    try {
+      let query = supabase
+        .from(this.tables.accounts)
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get accounts:', error.message);
+      throw error;
+    }
+  }
+
+  async getAccount(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.accounts)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get account:', error.message);
+      throw error;
+    }
+  }
+
+  async updateAccount(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.accounts)
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.info('Account updated:', id);
+      return data;
+    } catch (error) {
+      logger.error('Failed to update account:', error.message);
+      throw error;
+    }
+  }
+
+  // Draft Operations
+  async createDraft(draftData) {
+    try {
+      const data = {
+        id: uuidv4(),
+        ...draftData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      };
+
+      const { data: result, error } = await supabase
+        .from(this.tables.drafts)
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.info('Draft created:', result.id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to create draft:', error.message);
+      throw error;
+    }
+  }
+
+  async getDrafts(status = null, limit = 50) {
+    try {
+      let query = supabase
+        .from(this.tables.drafts)
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get drafts:', error.message);
+      throw error;
+    }
+  }
+
+  async getDraft(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.drafts)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get draft:', error.message);
+      throw error;
+    }
+  }
+
+  // Pass expectedStatus to only update a draft that is still in that status.
+  // Returns null when it has moved on, so two reviewers can't both act on one draft.
+  async updateDraft(id, updates, expectedStatus = null) {
+    try {
+      let query = supabase
+        .from(this.tables.drafts)
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (expectedStatus) {
+        query = query.eq('status', expectedStatus);
+      }
+
+      const { data, error } = await query.select().maybeSingle();
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to update draft:', error.message);
+      throw error;
+    }
+  }
+
+  // Import Batch Operations
+  async createImportBatch(batchData) {
+    try {
+      const data = {
+        id: uuidv4(),
+        ...batchData,
+        created_at: new Date().toISOString(),
+      };
+
+      const { data: result, error } = await supabase
+        .from(this.tables.importBatches)
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.info('Import batch created:', result.id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to create import batch:', error.message);
+      throw error;
+    }
+  }
+
+  async getImportBatches(limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.importBatches)
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get import batches:', error.message);
+      throw error;
+    }
+  }
+
+  async getImportBatch(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.importBatches)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get import batch:', error.message);
+      throw error;
+    }
+  }
+
+  async updateImportBatch(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.importBatches)
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to update import batch:', error.message);
+      throw error;
+    }
+  }
+
+  async getScheduledTweetsByBatch(batchId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.scheduledTweets)
+        .select('*')
+        .eq('batch_id', batchId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get scheduled tweets of import batch:', error.message);
+      throw error;
+    }
+  }
+
+  // API Token Operations
+  async createApiToken(tokenData) {
+    try {
+      const data = {
+        id: uuidv4(),
+        ...tokenData,
+        created_at: new Date().toISOString(),
+      };
+
+      const { data: result, error } = await supabase
+        .from(this.tables.apiTokens)
+        .insert([data])
+        .select('id, name, scopes, created_at')
+        .single();
+
+      if (error) throw error;
+
+      logger.info('API token created:', result.id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to create API token:', error.message);
+      throw error;
+    }
+  }
+
+  // Only tokens that have not been revoked are returned
+  async getActiveApiTokenByHash(tokenHash) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.apiTokens)
+        .select('id, name, scopes, created_at, last_used_at')
+        .eq('token_hash', tokenHash)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to look up API token:', error.message);
+      throw error;
+    }
+  }
+
+  async getApiTokens() {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.apiTokens)
+        .select('id, name, scopes, created_at, last_used_at, revoked_at')
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get API tokens:', error.message);
+      throw error;
+    }
+  }
+
+  async updateApiToken(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tables.apiTokens)
+        .update(updates)
+        .eq('id', id)
+        .select('id, name, scopes, created_at, last_used_at, revoked_at')
+        .single();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to update API token:', error.message);
+      throw error;
+    }
+  }
+
   // Utility methods
   async cleanup() {
     try {
@@ -60,6 +60,19 @@ class DemoService {
     return this.demoData.stats;
   }
 
+  getDemoAccounts() {
+    return [{
+      id: 'default',
+      name: 'Default account',
+      handle: null,
+      isDefault: true,
+      tweets: this.demoData.stats,
+      dailyCount: this.demoData.stats.todayTweets,
+      dailyLimit: this.demoData.rateLimitStatus.limit,
+      remaining: this.demoData.rateLimitStatus.remaining,
+    }];
+  }
+
   getDemoRateLimitStatus() {
     return this.demoData.rateLimitStatus;
   }
@@ -81,6 +94,7 @@ class DemoService {
     return {
       text: randomTweet.slice(0, 280),
       includeImage: options.includeImage || false,
+      tone: options.tone || 'engaging',
       generatedAt: new Date().toISOString(),
     };
   }
@@ -0,0 +1,119 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./DatabaseService');
+const queueService = require('./QueueService');
+
+// Review workflow for scheduled tweets: the worker saves generated text as a pending
+// draft, a reviewer approves (optionally editing) or rejects it, and only approved
+// drafts are queued for posting. Drafts still pending at their deadline expire or are
+// posted as-is, depending on config.review.expiryBehavior.
+class DraftService {
+  // A schedule's own setting wins; NULL follows REVIEW_MODE
+  requiresReview(scheduleData) {
+    if (scheduleData.requires_review === true || scheduleData.requires_review === false) {
+      return scheduleData.requires_review;
+    }
+    return config.review.enabled;
+  }
+
+  // tone is the one the text was generated with, null if it wasn't AI-written
+  async createDraft(scheduleData, text, tone = null) {
+    const deadline = new Date(Date.now() + config.review.deadlineMinutes * 60 * 1000);
+
+    const draft = await databaseService.createDraft({
+      schedule_id: scheduleData.id || null,
+      schedule_type: scheduleData.schedule_type || null,
+      account_id: scheduleData.account_id || null,
+      text,
+      generated_text: text,
+      tone,
+      include_image: !!scheduleData.include_image,
+      image_path: scheduleData.image_path || null,
+      image_prompt: scheduleData.image_prompt || null,
+      status: 'pending',
+      review_deadline: deadline.toISOString(),
+    });
+
+    await queueService.addDraftExpiryJob(draft.id, deadline);
+
+    logger.info('Draft awaiting review:', { draftId: draft.id, scheduleId: draft.schedule_id, deadline: draft.review_deadline });
+    return draft;
+  }
+
+  async getDrafts(status = null) {
+    return databaseService.getDrafts(status);
+  }
+
+  async approveDraft(id, { text, reviewer } = {}) {
+    const updates = {
+      status: 'approved',
+      reviewed_by: reviewer || null,
+      reviewed_at: new Date().toISOString(),
+    };
+    if (text) {
+      updates.text = text;
+    }
+
+    const draft = await databaseService.updateDraft(id, updates, 'pending');
+    if (!draft) {
+      throw new Error('Draft not found or already reviewed');
+    }
+
+    await queueService.removeDraftExpiryJob(id);
+    await queueService.addDraftPublishJob(id);
+
+    logger.info('Draft approved:', { draftId: id, reviewer, edited: draft.text !== draft.generated_text });
+    return draft;
+  }
+
+  async rejectDraft(id, { reason, reviewer } = {}) {
+    const draft = await databaseService.updateDraft(id, {
+      status: 'rejected',
+      reviewed_by: reviewer || null,
+      reviewed_at: new Date().toISOString(),
+      error_message: reason || null,
+    }, 'pending');
+    if (!draft) {
+      throw new Error('Draft not found or already reviewed');
+    }
+
+    await queueService.removeDraftExpiryJob(id);
+    await this.closeOneOffSchedule(draft, 'rejected');
+
+    logger.info('Draft rejected:', { draftId: id, reviewer });
+    return draft;
+  }
+
+  // Called by the expiry job; drafts reviewed in the meantime are left alone
+  async expireDraft(id) {
+    if (config.review.expiryBehavior === 'post') {
+      const draft = await databaseService.updateDraft(id, {
+        status: 'approved',
+        reviewed_by: 'review deadline',
+        reviewed_at: new Date().toISOString(),
+      }, 'pending');
+
+      if (draft) {
+        await queueService.addDraftPublishJob(id);
+        logger.info('Draft posted unreviewed after its deadline:', id);
+      }
+      return draft;
+    }
+
+    const draft = await databaseService.updateDraft(id, { status: 'expired' }, 'pending');
+    if (draft) {
+      await this.closeOneOffSchedule(draft, 'expired');
+      logger.info('Draft expired without review:', id);
+    }
+    return draft;
+  }
+
+  // A one-off schedule has nothing left to run once its only draft is turned down
+  async closeOneOffSchedule(draft, status) {
+    if (draft.schedule_id && draft.schedule_type === 'once') {
+      await databaseService.updateScheduledTweet(draft.schedule_id, { status });
+    }
+  }
+}
+
+module.exports = new DraftService();
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  createImageProvider,
+  createImageStorage,
+  LocalImageStorage,
+  SupabaseImageStorage,
+} = require('./images');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+// Generates images from prompts and keeps them, and uploaded images, as stored assets.
+// Assets are referenced by path: relative to the app for local storage, or
+// `supabase:<bucket>/<key>` for Supabase Storage.
+class ImageService {
+  constructor() {
+    this.provider = createImageProvider(config.images);
+    this.storage = createImageStorage(config.images);
+
+    // Assets written before a storage switch can still be read
+    this.localStorage = this.storage instanceof LocalImageStorage
+      ? this.storage
+      : new LocalImageStorage(config.images);
+  }
+
+  async generateImage(prompt) {
+    try {
+      const { buffer, mimeType } = await this.provider.generateImage(prompt);
+      const assetPath = await this.saveAsset('generated', buffer, mimeType);
+
+      logger.info('Image generated:', { provider: this.provider.name, assetPath, prompt: prompt.substring(0, 50) });
+      return { assetPath, buffer, mimeType };
+    } catch (error) {
+      logger.error('Failed to generate image:', error.message);
+      throw new Error(`Image generation failed: ${error.message}`);
+    }
+  }
+
+  // Keep an uploaded (multer) file as an asset and remove the temporary upload
+  async storeUpload(file) {
+    try {
+      const buffer = await fs.promises.readFile(file.path);
+      const assetPath = await this.saveAsset('uploads', buffer, file.mimetype);
+      await fs.promises.rm(file.path, { force: true });
+
+      logger.info('Uploaded image stored:', assetPath);
+      return assetPath;
+    } catch (error) {
+      logger.error('Failed to store uploaded image:', error.message);
+      throw error;
+    }
+  }
+
+  async loadAsset(assetPath) {
+    const store = SupabaseImageStorage.owns(assetPath) ? this.supabaseStorage() : this.localStorage;
+    const buffer = await store.load(assetPath);
+    return { buffer, mimeType: this.mimeTypeFor(assetPath) };
+  }
+
+  async deleteAsset(assetPath) {
+    try {
+      const store = SupabaseImageStorage.owns(assetPath) ? this.supabaseStorage() : this.localStorage;
+      await store.remove(assetPath);
+    } catch (error) {
+      logger.warn(`Failed to delete image asset ${assetPath}:`, error.message);
+    }
+  }
+
+  async saveAsset(folder, buffer, mimeType) {
+    const extension = EXTENSIONS[mimeType] || 'png';
+    const key = `${folder}/${new Date().toISOString().slice(0, 10)}/${uuidv4()}.${extension}`;
+    return this.storage.save(key, buffer, mimeType);
+  }
+
+  supabaseStorage() {
+    return this.storage instanceof SupabaseImageStorage ? this.storage : new SupabaseImageStorage(config.images);
+  }
+
+  mimeTypeFor(assetPath) {
+    const extension = path.extname(assetPath).slice(1).toLowerCase();
+    const match = Object.entries(EXTENSIONS).find(([, ext]) => ext === extension);
+    return match ? match[0] : 'image/png';
+  }
+}
+
+module.exports = new ImageService();
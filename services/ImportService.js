@@ -0,0 +1,357 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { parseCsv } = require('../utils/csv');
+const { schemas } = require('../utils/validation');
+const { formatInTimezone, getNextCronRuns } = require('../utils/time');
+const databaseService = require('./DatabaseService');
+const accountService = require('./AccountService');
+const scheduleService = require('./ScheduleService');
+const slottingService = require('./SlottingService');
+const imageService = require('./ImageService');
+const { SupabaseImageStorage } = require('./images');
+
+// Rows per upload; each one becomes a schedule and a queue job
+const MAX_ROWS = 500;
+
+// Column names as spreadsheets tend to write them, compared in lower case without separators
+const COLUMNS = {
+  text: 'text',
+  prompt: 'customPrompt',
+  customprompt: 'customPrompt',
+  tone: 'tone',
+  image: 'image',
+  imagepath: 'image',
+  imageurl: 'image',
+  imageprompt: 'imagePrompt',
+  includeimage: 'includeImage',
+  type: 'scheduleType',
+  scheduletype: 'scheduleType',
+  datetime: 'scheduledFor',
+  scheduledfor: 'scheduledFor',
+  time: 'time',
+  cron: 'customCron',
+  customcron: 'customCron',
+  timezone: 'timezone',
+  jitterminutes: 'jitterMinutes',
+  reviewmode: 'reviewMode',
+  blackoutpolicy: 'blackoutPolicy',
+};
+
+const columnFor = (name) => COLUMNS[String(name).toLowerCase().replace(/[^a-z0-9]/g, '')];
+
+// Turns rows from a spreadsheet (CSV) or a JSON array into schedules. A preview validates
+// every row without saving anything; an import saves all rows as one batch, or none of them,
+// and a batch can later be cancelled as a unit.
+class ImportService {
+  // Pass `images` to keep the images the rows refer to, as path => loaded asset
+  async preview({ content, format, name, accountId }, images = new Map()) {
+    try {
+      const fileFormat = format || this.detectFormat(content, name);
+      const { rows, ignoredColumns } = this.parse(content, fileFormat);
+      const timezone = await accountService.getTimezone(accountId || null);
+
+      const checked = [];
+      for (const [index, row] of rows.entries()) {
+        checked.push(await this.checkRow(row, index + 1, { timezone, images }));
+      }
+
+      return {
+        format: fileFormat,
+        name: name || null,
+        accountId: accountId || null,
+        timezone,
+        rows: checked,
+        validRows: checked.filter(row => row.valid).length,
+        ignoredColumns,
+      };
+    } catch (error) {
+      logger.error('Failed to preview import:', error.message);
+      throw error;
+    }
+  }
+
+  // Saves every row of a fully valid upload. If one fails, the rows already saved are cancelled
+  // again and the batch is marked failed.
+  async importRows(upload) {
+    const images = new Map();
+    const preview = await this.preview(upload, images);
+    if (preview.rows.length === 0) {
+      throw new Error('Validation error: There are no rows to import');
+    }
+    const invalid = preview.rows.length - preview.validRows;
+    if (invalid > 0) {
+      throw new Error(`Validation error: ${invalid} of ${preview.rows.length} rows have errors; fix them and preview again`);
+    }
+
+    // Queued rows take the next free slots, planned once for the whole batch; if there
+    // aren't enough, nothing is saved
+    const queuedRows = preview.rows.filter(row => row.schedule.schedule_type === 'queue');
+    const slots = await slottingService.nextSlots(preview.accountId, queuedRows.length);
+
+    const batch = await databaseService.createImportBatch({
+      name: preview.name,
+      format: preview.format,
+      account_id: preview.accountId,
+      row_count: preview.rows.length,
+      status: 'importing',
+    });
+
+    const created = [];
+    try {
+      for (const row of preview.rows) {
+        created.push(await this.createRow(row, batch, images, slots[queuedRows.indexOf(row)]));
+      }
+    } catch (error) {
+      logger.error(`Import batch ${batch.id} failed, cancelling its ${created.length} saved posts:`, error.message);
+      const { failed } = await this.cancelSchedules(created);
+      const message = failed.length > 0
+        ? `${error.message} (${failed.length} posts saved before it could not be cancelled; cancel the batch to retry)`
+        : error.message;
+      await databaseService.updateImportBatch(batch.id, { status: 'failed', error_message: message });
+      throw new Error(message);
+    }
+
+    // Posts queued before may have drifted from their slots, as after enqueue
+    if (queuedRows.length > 0) {
+      try {
+        await slottingService.reslot(preview.accountId);
+      } catch (error) {
+        logger.error('Failed to re-slot the queue after importing posts:', error.message);
+      }
+    }
+
+    const imported = await databaseService.updateImportBatch(batch.id, { status: 'imported' });
+    logger.info('Import batch saved:', { id: batch.id, posts: created.length });
+    return { batch: imported, schedules: created };
+  }
+
+  async listBatches(limit = 20) {
+    return databaseService.getImportBatches(limit);
+  }
+
+  // Cancels every post of a batch that hasn't gone out yet
+  async cancelBatch(id) {
+    const batch = await databaseService.getImportBatch(id);
+    if (!batch) {
+      throw new Error('Import batch not found');
+    }
+    if (batch.status === 'cancelled') {
+      throw new Error('Import batch is already cancelled');
+    }
+
+    const schedules = await databaseService.getScheduledTweetsByBatch(id);
+    const { cancelled, failed } = await this.cancelSchedules(schedules);
+    if (failed.length > 0) {
+      throw new Error(`Cancelled ${cancelled.length} posts of the batch, but ${failed.length} could not be cancelled; try again`);
+    }
+
+    const updated = await databaseService.updateImportBatch(id, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+    });
+
+    logger.info('Import batch cancelled:', { id, posts: cancelled.length });
+    return { batch: updated, cancelled: cancelled.length, kept: schedules.length - cancelled.length };
+  }
+
+  // Posts that already ran are kept; queued posts left behind move up into the freed slots
+  async cancelSchedules(schedules) {
+    const cancelled = [];
+    const failed = [];
+
+    for (const schedule of schedules.filter(schedule => scheduleService.isEditable(schedule))) {
+      try {
+        await scheduleService.cancelSchedule(schedule.id);
+        cancelled.push(schedule);
+      } catch (error) {
+        logger.error(`Failed to cancel imported schedule ${schedule.id}:`, error.message);
+        failed.push(schedule);
+      }
+    }
+
+    const queues = new Set(cancelled.filter(schedule => schedule.auto_slot).map(schedule => schedule.account_id || null));
+    for (const accountId of queues) {
+      try {
+        await slottingService.reslot(accountId);
+      } catch (error) {
+        logger.error('Failed to re-slot the queue after cancelling imported posts:', error.message);
+      }
+    }
+
+    return { cancelled, failed };
+  }
+
+  detectFormat(content, name) {
+    const extension = name ? path.extname(name).toLowerCase() : '';
+    if (extension === '.json') return 'json';
+    if (extension === '.csv') return 'csv';
+    return /^\s*[[{]/.test(content) ? 'json' : 'csv';
+  }
+
+  // Rows keyed by schedule field; columns that match no field are reported and ignored
+  parse(content, format) {
+    let records;
+    if (format === 'json') {
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Validation error: Invalid JSON: ${error.message}`);
+      }
+      records = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+      if (!Array.isArray(records)) {
+        throw new Error('Validation error: JSON must be an array of rows, or an object with a rows array');
+      }
+    } else {
+      try {
+        records = parseCsv(content);
+      } catch (error) {
+        throw new Error(`Validation error: ${error.message}`);
+      }
+    }
+
+    if (records.length > MAX_ROWS) {
+      throw new Error(`Validation error: At most ${MAX_ROWS} rows can be imported at once, got ${records.length}`);
+    }
+
+    const ignoredColumns = new Set();
+    const rows = records.map(record => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+      const row = {};
+      for (const [column, value] of Object.entries(record)) {
+        const field = columnFor(column);
+        if (!field) {
+          ignoredColumns.add(column);
+          continue;
+        }
+        // Empty cells are left out, as if the column weren't there
+        const cell = typeof value === 'string' ? value.trim() : value;
+        if (cell !== '' && cell !== null && cell !== undefined) {
+          row[field] = cell;
+        }
+      }
+      return row;
+    });
+
+    return { rows, ignoredColumns: [...ignoredColumns] };
+  }
+
+  // Validates a row against the schedule schema, its timing and its image. Valid rows carry
+  // the scheduled_tweets row they would create.
+  async checkRow(row, number, { timezone, images }) {
+    if (!row) {
+      return { number, valid: false, errors: ['Row must be an object'], input: {} };
+    }
+
+    // A row with a date-time posts once, one without takes the next free queue slot
+    const input = { scheduleType: row.scheduledFor ? 'once' : 'queue', ...row };
+    const { error, value } = schemas.importRow.validate(input, { abortEarly: false });
+    const errors = error ? error.details.map(detail => detail.message) : [];
+    const result = { number, valid: false, errors, input };
+    if (errors.length > 0) return result;
+
+    const rowTimezone = value.timezone || timezone;
+    const isQueued = value.scheduleType === 'queue';
+
+    let timing = { cronTime: null, runAt: null };
+    if (!isQueued) {
+      try {
+        timing = scheduleService.resolveTiming(value, rowTimezone);
+      } catch (timingError) {
+        errors.push(timingError.message.replace(/^Validation error: /, ''));
+      }
+    }
+
+    let image = {};
+    if (value.image) {
+      try {
+        image = await this.checkImage(value.image, images);
+      } catch (imageError) {
+        errors.push(imageError.message);
+      }
+    }
+
+    if (errors.length > 0) return result;
+
+    return {
+      ...result,
+      valid: true,
+      when: this.describeTiming(value.scheduleType, timing, rowTimezone),
+      image,
+      schedule: {
+        schedule_type: value.scheduleType,
+        cron_time: timing.cronTime,
+        scheduled_for: timing.runAt ? timing.runAt.toISOString() : null,
+        timezone: rowTimezone,
+        status: 'scheduled',
+        custom_prompt: value.customPrompt || null,
+        tone: value.tone || null,
+        include_image: !!value.image || value.includeImage === true,
+        image_url: image.imageUrl || null,
+        image_prompt: value.imagePrompt || null,
+        // NULL follows the global REVIEW_MODE and BLACKOUT_POLICY settings
+        requires_review: value.reviewMode === 'default' ? null : value.reviewMode === 'review',
+        blackout_policy: value.blackoutPolicy === 'default' ? null : value.blackoutPolicy,
+        jitter_minutes: value.jitterMinutes || 0,
+        text: value.text || null,
+      },
+    };
+  }
+
+  // URLs are downloaded when the post runs. Paths must name a stored asset, which is loaded
+  // once however many rows use it.
+  async checkImage(image, images) {
+    if (/^https?:\/\//i.test(image)) {
+      return { imageUrl: image };
+    }
+
+    const assetPath = SupabaseImageStorage.owns(image) ? image : path.posix.normalize(image.replace(/\\/g, '/'));
+    if (!SupabaseImageStorage.owns(assetPath) && !assetPath.startsWith(`${config.images.localDir}/`)) {
+      throw new Error(`Image must be an http(s) URL or a stored image under ${config.images.localDir}/`);
+    }
+
+    if (!images.has(assetPath)) {
+      images.set(assetPath, imageService.loadAsset(assetPath).catch(() => null));
+    }
+    if (!await images.get(assetPath)) {
+      throw new Error(`Image not found: ${image}`);
+    }
+    return { assetPath };
+  }
+
+  describeTiming(scheduleType, { cronTime, runAt }, timezone) {
+    if (scheduleType === 'queue') return 'Next free queue slot';
+    if (runAt) return formatInTimezone(runAt, timezone);
+    return `${scheduleType} (${cronTime}), first run ${formatInTimezone(getNextCronRuns(cronTime, timezone)[0], timezone)}`;
+  }
+
+  // Each post gets its own copy of an asset image, so replacing one post's image doesn't
+  // remove it from the others. Queued rows are saved with the slot planned for them.
+  async createRow(row, batch, images, slot = null) {
+    let imagePath = null;
+    try {
+      if (row.image.assetPath) {
+        const { buffer, mimeType } = await images.get(row.image.assetPath);
+        imagePath = await imageService.saveAsset('imports', buffer, mimeType);
+      }
+
+      const scheduleData = {
+        ...row.schedule,
+        account_id: batch.account_id,
+        image_path: imagePath,
+        batch_id: batch.id,
+      };
+
+      return await scheduleService.createSchedule(slot ? slottingService.toQueued(scheduleData, slot) : scheduleData);
+    } catch (error) {
+      if (imagePath) {
+        await imageService.deleteAsset(imagePath);
+      }
+      throw new Error(`Row ${row.number}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,177 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./QueueService');
+const databaseService = require('./DatabaseService');
+const accountService = require('./AccountService');
+const twitterService = require('./TwitterService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Posts per lookup request
+const MAX_LOOKUP_IDS = 100;
+
+// Read counters outlive their month a little so the last run of a month still finds them
+const READS_KEY_TTL_SECONDS = 40 * 24 * 60 * 60;
+
+// Collects public engagement metrics for posted tweets as time-series snapshots. Each run
+// refreshes the posts that are due: recent posts every recentRefreshMinutes, older ones every
+// olderRefreshHours, until they are maxAgeDays old. Reads stay under two limits per account:
+//   - the lookup endpoint's window as the X API reports it; a run stops once it is used up
+//   - the plan's monthly read cap, released evenly over the month so early runs can't spend it all
+class MetricsService {
+  constructor() {
+    // Lookup windows the X API reported, per account: { remaining, reset }
+    this.lookupLimits = new Map();
+  }
+
+  get redis() {
+    return queueService.redisClient;
+  }
+
+  readsKey(accountId, now = new Date()) {
+    return `tweet_metrics:${accountId || 'default'}:reads:${now.toISOString().slice(0, 7)}`;
+  }
+
+  // How long a post's metrics stay fresh, by the post's age
+  refreshInterval(post, now = new Date()) {
+    const age = now.getTime() - new Date(post.posted_at).getTime();
+    return age < config.metrics.recentDays * DAY_MS
+      ? config.metrics.recentRefreshMinutes * MINUTE_MS
+      : config.metrics.olderRefreshHours * 60 * MINUTE_MS;
+  }
+
+  isDue(post, now = new Date()) {
+    if (!post.metrics_collected_at) return true;
+    return now.getTime() - new Date(post.metrics_collected_at).getTime() >= this.refreshInterval(post, now);
+  }
+
+  // Due posts per account: never collected first, then the longest overdue
+  selectDue(posts, now = new Date()) {
+    const overdue = (post) => post.metrics_collected_at
+      ? now.getTime() - new Date(post.metrics_collected_at).getTime() - this.refreshInterval(post, now)
+      : Infinity;
+
+    const byAccount = new Map();
+    for (const post of posts.filter(candidate => this.isDue(candidate, now))) {
+      const accountKey = accountService.resolveId(post.account_id);
+      if (!byAccount.has(accountKey)) byAccount.set(accountKey, []);
+      byAccount.get(accountKey).push(post);
+    }
+    for (const due of byAccount.values()) {
+      due.sort((a, b) => overdue(b) - overdue(a));
+    }
+    return byAccount;
+  }
+
+  // Reads the account may spend now: the share of the monthly cap released so far, less
+  // what this month's runs already read
+  async getReadBudget(accountId, now = new Date()) {
+    const limit = config.metrics.monthlyReadLimit;
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    const released = Math.floor(limit * (now.getTime() - monthStart) / (monthEnd - monthStart));
+
+    const used = parseInt(await this.redis.get(this.readsKey(accountId, now))) || 0;
+    return Math.max(0, Math.min(limit, released) - used);
+  }
+
+  async recordReads(accountId, count, now = new Date()) {
+    if (count === 0) return;
+    const key = this.readsKey(accountId, now);
+    await this.redis.incrBy(key, count);
+    await this.redis.expire(key, READS_KEY_TTL_SECONDS);
+  }
+
+  isLookupExhausted(accountKey, now = new Date()) {
+    const limit = this.lookupLimits.get(accountKey);
+    return !!limit && limit.remaining <= 0 && limit.reset > now.getTime();
+  }
+
+  // One collection run over every account. Returns what was collected per account.
+  async collect() {
+    try {
+      const now = new Date();
+      const since = new Date(now.getTime() - config.metrics.maxAgeDays * DAY_MS);
+      const posts = await databaseService.getPostsForMetrics(since);
+      const due = this.selectDue(posts, now);
+
+      const accounts = [];
+      for (const [accountKey, duePosts] of due) {
+        const accountId = accountKey === accountService.defaultAccountId ? null : accountKey;
+        try {
+          accounts.push(await this.collectForAccount(accountId, duePosts, now));
+        } catch (error) {
+          logger.warn(`Metrics collection failed for account ${accountKey}:`, error.message);
+          accounts.push({ accountId: accountKey, due: duePosts.length, error: error.message });
+        }
+      }
+
+      const collected = accounts.reduce((sum, account) => sum + (account.collected || 0), 0);
+      logger.info(`Metrics run: ${collected} of ${posts.length} recent posts refreshed`);
+      return { posts: posts.length, collected, accounts };
+    } catch (error) {
+      logger.error('Metrics collection failed:', error);
+      throw error;
+    }
+  }
+
+  async collectForAccount(accountId, posts, now = new Date()) {
+    const accountKey = accountService.resolveId(accountId);
+    const summary = { accountId: accountKey, due: posts.length, requests: 0, collected: 0, missing: 0 };
+    let budget = await this.getReadBudget(accountId, now);
+    let offset = 0;
+
+    while (offset < posts.length && summary.requests < config.metrics.requestsPerRun) {
+      if (budget <= 0) {
+        summary.stoppedBy = 'monthly_reads';
+        break;
+      }
+      if (this.isLookupExhausted(accountKey, now)) {
+        summary.stoppedBy = 'rate_limit';
+        break;
+      }
+
+      const batch = posts.slice(offset, offset + Math.min(MAX_LOOKUP_IDS, budget)).map(post => post.tweet_id);
+      offset += batch.length;
+      summary.requests++;
+
+      let result;
+      try {
+        result = await twitterService.getPublicMetrics(batch, accountId);
+      } catch (error) {
+        if (error.rateLimit) {
+          this.lookupLimits.set(accountKey, { remaining: error.rateLimit.remaining, reset: error.rateLimit.reset * 1000 });
+        }
+        if (error.code === 429) {
+          summary.stoppedBy = 'rate_limit';
+          break;
+        }
+        throw error;
+      }
+
+      if (result.rateLimit) {
+        this.lookupLimits.set(accountKey, { remaining: result.rateLimit.remaining, reset: result.rateLimit.reset });
+      }
+      await this.recordReads(accountId, result.metrics.length, now);
+      budget -= result.metrics.length;
+
+      if (result.metrics.length > 0) {
+        await databaseService.saveTweetMetrics(result.metrics.map(({ tweetId, ...metrics }) => ({
+          tweet_id: tweetId,
+          account_id: accountId,
+          ...metrics,
+        })));
+      }
+      // Deleted posts are marked too, so they only come up again at the next refresh
+      await databaseService.markMetricsCollected(batch, now);
+
+      summary.collected += result.metrics.length;
+      summary.missing += result.missing.length;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new MetricsService();
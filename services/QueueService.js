@@ -61,6 +61,20 @@ class QueueService {
       },
     });
 
+    // Engagement metrics collection; its own queue so reads never hold up posting
+    this.metricsQueue = new Queue('tweet metrics', {
+      redis: {
+        port: config.redis.port,
+        host: config.redis.host,
+        password: config.redis.password,
+      },
+      defaultJobOptions: {
+        removeOnComplete: 20,
+        removeOnFail: 20,
+        attempts: 1,
+      },
+    });
+
     this.dailyQuotaResetQueue = new Queue('daily quota reset', {
       redis: {
         port: config.redis.port,
@@ -90,6 +104,10 @@ class QueueService {
     this.scheduledTweetQueue.on('failed', (job, err) => {
       logger.error(`Scheduled tweet job ${job.id} failed:`, err.message);
     });
+
+    this.metricsQueue.on('failed', (job, err) => {
+      logger.error(`Metrics job ${job.id} failed:`, err.message);
+    });
   }
 
   // Add immediate tweet to queue
@@ -108,20 +126,26 @@ class QueueService {
     }
   }
 
-  // Add scheduled tweet to queue
-  async addScheduledTweetJob(scheduleData, cronExpression) {
+  // Add scheduled tweet to queue. The cron expression is evaluated in the given IANA timezone.
+  async addScheduledTweetJob(scheduleData, cronExpression, timezone = config.scheduling.defaultTimezone) {
     try {
       // Structure the job data to match what processScheduledTweet expects
       const jobData = {
         scheduleData: scheduleData
       };
       
+      // The schedule ID goes into the repeat key, so schedules sharing a cron stay separate
       const job = await this.scheduledTweetQueue.add('process-scheduled-tweet', jobData, {
-        repeat: { cron: cronExpression },
+        repeat: { cron: cronExpression, tz: timezone },
+        jobId: scheduleData.id,
         removeOnComplete: true,
         removeOnFail: true,
       });
-      logger.info(`Added scheduled tweet job: ${job.id} with cron: ${cronExpression}`);
+      if (!job) {
+        throw new Error(`Cron expression never fires: ${cronExpression}`);
+      }
+
+      logger.info(`Added scheduled tweet job: ${job.id} with cron: ${cronExpression} (${timezone})`);
       return job;
     } catch (error) {
       logger.error('Failed to add scheduled tweet job:', error);
@@ -129,6 +153,228 @@ class QueueService {
     }
   }
 
+  // Add a one-off scheduled tweet, delayed until runAt. It is not repeated.
+  async addOneOffTweetJob(scheduleData, runAt) {
+    try {
+      const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+
+      const job = await this.scheduledTweetQueue.add('process-scheduled-tweet', { scheduleData }, {
+        delay,
+        jobId: `once:${scheduleData.id}`,
+        removeOnComplete: true,
+        removeOnFail: true,
+      });
+      logger.info(`Added one-off scheduled tweet job: ${job.id} for ${new Date(runAt).toISOString()}`);
+      return job;
+    } catch (error) {
+      logger.error('Failed to add one-off scheduled tweet job:', error);
+      throw error;
+    }
+  }
+
+  // Add one run of a jittered recurring schedule, posted at runAt. The run's planned time is
+  // part of the job ID, so a run is only queued once.
+  async addJitteredRunJob(scheduleData, plannedAt, runAt) {
+    try {
+      const jobData = {
+        scheduleData,
+        plannedAt: plannedAt.toISOString(),
+        jitter: { offsetMs: runAt.getTime() - plannedAt.getTime(), runAt: runAt.toISOString() },
+      };
+
+      const job = await this.scheduledTweetQueue.add('process-scheduled-tweet', jobData, {
+        delay: Math.max(0, runAt.getTime() - Date.now()),
+        jobId: `jitter:${scheduleData.id}:${plannedAt.getTime()}`,
+        removeOnComplete: true,
+        removeOnFail: true,
+      });
+      logger.info(`Added jittered run job: ${job.id} for ${runAt.toISOString()} (planned ${plannedAt.toISOString()})`);
+      return job;
+    } catch (error) {
+      logger.error('Failed to add jittered run job:', error);
+      throw error;
+    }
+  }
+
+  // Remove the runs planned for a jittered schedule that haven't started yet
+  async removeJitteredRunJobs(scheduleId) {
+    try {
+      const jobs = await this.scheduledTweetQueue.getJobs(['delayed', 'waiting']);
+      const planned = jobs.filter(job => job && String(job.id).startsWith(`jitter:${scheduleId}:`));
+
+      await Promise.all(planned.map(job => job.remove()));
+      if (planned.length > 0) {
+        logger.info(`Removed ${planned.length} jittered run job(s) for schedule ${scheduleId}`);
+      }
+      return planned.length;
+    } catch (error) {
+      logger.error(`Failed to remove jittered run jobs for schedule ${scheduleId}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove a repeatable job by the key stored on its schedule, together with its next pending run
+  async removeRepeatableJob(repeatKey) {
+    try {
+      await this.scheduledTweetQueue.removeRepeatableByKey(repeatKey);
+      logger.info(`Removed repeatable job: ${repeatKey}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to remove repeatable job ${repeatKey}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove a schedule's repeatable job together with its next pending run. Pass the cron
+  // and timezone to remove only that cadence; otherwise every cadence of the schedule goes.
+  async removeScheduledTweetJob(scheduleId, cronExpression = null, timezone = null) {
+    try {
+      const repeatableJobs = await this.scheduledTweetQueue.getRepeatableJobs();
+      const matches = repeatableJobs.filter(job => job.id === scheduleId &&
+        (!cronExpression || (job.cron === cronExpression && job.tz === timezone)));
+
+      await Promise.all(matches.map(job => this.scheduledTweetQueue.removeRepeatableByKey(job.key)));
+      logger.info(`Removed ${matches.length} repeatable job(s) for schedule ${scheduleId}`);
+      return matches.length > 0;
+    } catch (error) {
+      logger.error(`Failed to remove repeatable job for schedule ${scheduleId}:`, error);
+      throw error;
+    }
+  }
+
+  // One-off jobs are `once:<schedule id>`, or `once:<schedule id>:deferred:<n>` once deferred for quota
+  async removeOneOffTweetJob(jobId) {
+    try {
+      const job = await this.scheduledTweetQueue.getJob(jobId);
+      if (!job) {
+        return false;
+      }
+
+      await job.remove();
+      logger.info(`Removed one-off scheduled tweet job: ${job.id}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to remove one-off job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  // Re-add a held-back job as a delayed copy that runs at runAt. It keeps its priority;
+  // Bull promotes delayed jobs due at the same time in the order they were added.
+  // `reason` is 'quota', 'blackout' (quiet hours and blackout dates) or 'jitter'.
+  async deferJob(job, runAt, jobId = undefined, reason = 'quota') {
+    try {
+      const deferred = job.data.deferred || { count: 0, firstBlockedAt: new Date().toISOString() };
+      const data = {
+        ...job.data,
+        deferred: { ...deferred, count: deferred.count + 1, until: new Date(runAt).toISOString(), reason },
+      };
+
+      const deferredJob = await job.queue.add(job.name, data, {
+        jobId,
+        delay: Math.max(0, new Date(runAt).getTime() - Date.now()),
+        priority: job.opts.priority,
+        attempts: job.opts.attempts,
+        removeOnComplete: job.opts.removeOnComplete,
+        removeOnFail: job.opts.removeOnFail,
+      });
+      logger.info(`Deferred job ${job.id} as ${deferredJob.id} until ${new Date(runAt).toISOString()}`);
+      return deferredJob;
+    } catch (error) {
+      logger.error(`Failed to defer job ${job.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Posts currently held back until their account's quota resets
+  async getDeferredCount() {
+    try {
+      const [scheduledDelayed, tweetDelayed] = await Promise.all([
+        this.scheduledTweetQueue.getDelayed(),
+        this.tweetQueue.getDelayed(),
+      ]);
+      // Jobs deferred before reasons were recorded were all held back for quota
+      return [...scheduledDelayed, ...tweetDelayed]
+        .filter(job => job && job.data.deferred && (job.data.deferred.reason || 'quota') === 'quota')
+        .length;
+    } catch (error) {
+      logger.error('Failed to count deferred jobs:', error);
+      return 0;
+    }
+  }
+
+  // Post an approved draft. The draft ID is the job ID, so a draft is only queued once.
+  async addDraftPublishJob(draftId) {
+    try {
+      const job = await this.tweetQueue.add('publish-draft', { draftId }, {
+        jobId: `draft:${draftId}`,
+        priority: 5,
+      });
+      logger.info(`Added draft publish job: ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error('Failed to add draft publish job:', error);
+      throw error;
+    }
+  }
+
+  // Resolve a draft that is still pending when its review deadline passes
+  async addDraftExpiryJob(draftId, deadline) {
+    try {
+      const delay = Math.max(0, new Date(deadline).getTime() - Date.now());
+
+      const job = await this.tweetQueue.add('expire-draft', { draftId }, {
+        delay,
+        jobId: `draft-expiry:${draftId}`,
+        attempts: 1,
+      });
+      logger.info(`Added draft expiry job: ${job.id} for ${new Date(deadline).toISOString()}`);
+      return job;
+    } catch (error) {
+      logger.error('Failed to add draft expiry job:', error);
+      throw error;
+    }
+  }
+
+  async removeDraftExpiryJob(draftId) {
+    try {
+      const job = await this.tweetQueue.getJob(`draft-expiry:${draftId}`);
+      if (job) {
+        await job.remove();
+      }
+    } catch (error) {
+      // The expiry job re-checks the draft status, so a leftover job is harmless
+      logger.warn(`Failed to remove expiry job for draft ${draftId}:`, error.message);
+    }
+  }
+
+  // Collect metrics every intervalMinutes. Repeats left over from another interval are removed;
+  // pass null to stop collecting.
+  async scheduleMetricsCollection(intervalMinutes) {
+    try {
+      const every = intervalMinutes ? intervalMinutes * 60 * 1000 : null;
+      const existing = await this.metricsQueue.getRepeatableJobs();
+      await Promise.all(existing
+        .filter(job => job.every !== every)
+        .map(job => this.metricsQueue.removeRepeatableByKey(job.key)));
+
+      if (!every) {
+        logger.info('Metrics collection is disabled');
+        return null;
+      }
+
+      const job = await this.metricsQueue.add('collect-metrics', {}, {
+        jobId: 'collect-metrics',
+        repeat: { every },
+      });
+      logger.info(`Metrics collection runs every ${intervalMinutes} minutes`);
+      return job;
+    } catch (error) {
+      logger.error('Failed to schedule metrics collection:', error);
+      throw error;
+    }
+  }
+
   // Get queue statistics
   async getQueueStats() {
     try {
@@ -157,6 +403,7 @@ class QueueService {
           active: scheduledActive.length,
           completed: scheduledCompleted.length,
         },
+        waitingForQuota: await this.getDeferredCount(),
       };
     } catch (error) {
       logger.error('Failed to get queue stats:', error);
@@ -164,63 +411,11 @@ class QueueService {
     }
   }
 
-  // Cancel scheduled tweet
-  async cancelScheduledTweet(jobId) {
-    try {
-      const job = await this.scheduledTweetQueue.getJob(jobId);
-      if (job) {
-        await job.remove();
-        logger.info(`Cancelled scheduled tweet job: ${jobId}`);
-        return true;
-      }
-      return false;
-    } catch (error) {
-      logger.error(`Failed to cancel scheduled tweet ${jobId}:`, error);
-      throw error;
-    }
-  }
-
-  // Smart rate limit management
-  async canProcessTweet() {
-    try {
-      const dailyCount = await this.redisClient.get('daily_tweet_count') || 0;
-      const remaining = config.rateLimits.dailyTweetLimit - parseInt(dailyCount);
-      return remaining > 0;
-    } catch (error) {
-      logger.error('Failed to check tweet rate limit:', error);
-      return false;
-    }
-  }
-
-  async incrementDailyCount() {
-    try {
-      const today = new Date().toDateString();
-      const key = `daily_tweet_count:${today}`;
-      const count = await this.redisClient.incr(key);
-      await this.redisClient.expire(key, 86400); // Expire in 24 hours
-      return count;
-    } catch (error) {
-      logger.error('Failed to increment daily count:', error);
-      throw error;
-    }
-  }
-
-  async getDailyCount() {
-    try {
-      const today = new Date().toDateString();
-      const key = `daily_tweet_count:${today}`;
-      const count = await this.redisClient.get(key) || 0;
-      return parseInt(count);
-    } catch (error) {
-      logger.error('Failed to get daily count:', error);
-      return 0;
-    }
-  }
-
   // Cleanup method
   async close() {
     await this.tweetQueue.close();
     await this.scheduledTweetQueue.close();
+    await this.metricsQueue.close();
     await this.dailyQuotaResetQueue.close();
     await this.redisClient.quit();
   }
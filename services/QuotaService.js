@@ -0,0 +1,323 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { startOfZonedDay, startOfZonedMonth } = require('../utils/time');
+const queueService = require('./QueueService');
+
+const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A reservation not committed or released within this window (e.g. a crashed worker) lapses
+const RESERVATION_TTL_MS = 5 * 60 * 1000;
+
+// Posts are kept a little longer than the longest window so a mode switch still sees them
+const KEY_TTL_SECONDS = 32 * 24 * 60 * 60;
+
+// Every window a plan can cap, shortest first
+const WINDOWS = ['fifteenMinutes', 'day', 'month'];
+const WINDOW_LABELS = { fifteenMinutes: '15-minute', day: 'Daily', month: 'Monthly' };
+
+// Windows named after the limit types the X API reports, e.g. x:tweets:user_24h
+const SERVER_WINDOW_PREFIX = 'x:';
+
+// KEYS: posts, reservations. ARGV: now, reservation id, expires at, key ttl, trim before,
+// then a (window start, limit) pair per capped window. Returns 0 once the reservation is
+// held, or the 1-based index of the first window that has no room left.
+const RESERVE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', '(' .. ARGV[5])
+redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+local reserved = redis.call('ZCARD', KEYS[2])
+for i = 6, #ARGV, 2 do
+  local used = redis.call('ZCOUNT', KEYS[1], ARGV[i], '+inf') + reserved
+  if used >= tonumber(ARGV[i + 1]) then
+    return (i - 4) / 2
+  end
+end
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[2])
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+return 0
+`;
+
+// KEYS: posts, reservations. ARGV: reservation id, posted at, key ttl.
+// Turns the reservation into a counted post; a lapsed reservation is still counted.
+const COMMIT_SCRIPT = `
+redis.call('ZREM', KEYS[2], ARGV[1])
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return redis.call('ZCARD', KEYS[1])
+`;
+
+// The single source of truth for each account's posting quota. Every post is stored in a
+// sorted set by time, so the same data answers every window a plan caps:
+//   fifteenMinutes - posts in the last 15 minutes
+//   day            - calendar: posts since midnight in the reset timezone; rolling: the last 24 hours
+//   month          - posts since the first of the month in the reset timezone
+// The latest limits the X API reported for posting are tracked as extra windows that start
+// when the snapshot was taken, so they take over whenever they are stricter than our own count.
+// Posting is refused once any window is full.
+class QuotaService {
+  constructor() {
+    this.mode = config.rateLimits.quotaMode;
+    this.timezone = config.rateLimits.quotaResetTimezone;
+  }
+
+  get redis() {
+    return queueService.redisClient;
+  }
+
+  postsKey(accountId) {
+    return `tweet_quota:${accountId || 'default'}:posts`;
+  }
+
+  reservationsKey(accountId) {
+    return `tweet_quota:${accountId || 'default'}:reservations`;
+  }
+
+  serverLimitsKey(accountId) {
+    return `tweet_quota:${accountId || 'default'}:server`;
+  }
+
+  // Whether a reported limit is newer than the one known for its type: its window resets later,
+  // or at the same time with fewer posts remaining. Older ones arrive when responses overtake
+  // each other.
+  supersedes(snapshot, current) {
+    return !current || snapshot.reset > current.reset ||
+      (snapshot.reset === current.reset && snapshot.remaining < current.remaining);
+  }
+
+  // Store the posting limits the X API reported with a response, keeping stored ones they don't
+  // supersede. `snapshots` are { limitType, limit, remaining, reset } with reset in milliseconds.
+  async recordServerLimits(accountId, snapshots) {
+    try {
+      const recordedAt = Date.now();
+      const key = this.serverLimitsKey(accountId);
+      const stored = (await this.redis.hGetAll(key)) || {};
+      const newer = snapshots.filter(snapshot =>
+        this.supersedes(snapshot, stored[snapshot.limitType] ? JSON.parse(stored[snapshot.limitType]) : null));
+      if (newer.length === 0) return;
+
+      await this.redis.hSet(key, Object.fromEntries(newer.map(snapshot => [
+        snapshot.limitType,
+        JSON.stringify({ limit: snapshot.limit, remaining: snapshot.remaining, reset: snapshot.reset, recordedAt }),
+      ])));
+      await this.redis.expire(key, KEY_TTL_SECONDS);
+    } catch (error) {
+      logger.error('Failed to record X API rate limits:', error);
+      throw error;
+    }
+  }
+
+  // Reported limits whose window is still open. Posts committed after the snapshot count against
+  // its `remaining`; the post that produced the snapshot was committed before it was taken.
+  async getServerWindows(accountId, now = new Date()) {
+    const stored = await this.redis.hGetAll(this.serverLimitsKey(accountId));
+
+    return Object.entries(stored || {})
+      .map(([limitType, value]) => ({ name: `${SERVER_WINDOW_PREFIX}${limitType}`, ...JSON.parse(value) }))
+      .filter(window => window.reset > now.getTime())
+      .map(window => ({ ...window, start: window.recordedAt + 1 }));
+  }
+
+  // The plan's caps; accounts may lower or raise the daily one
+  defaultLimits() {
+    return {
+      fifteenMinutes: config.rateLimits.fifteenMinuteTweetLimit,
+      day: config.rateLimits.dailyTweetLimit,
+      month: config.rateLimits.monthlyTweetLimit,
+    };
+  }
+
+  // Windows with a cap, in the order they are checked
+  cappedWindows(limits) {
+    return WINDOWS.filter(window => limits[window]);
+  }
+
+  isRolling(window) {
+    return window === 'fifteenMinutes' || (window === 'day' && this.mode === 'rolling');
+  }
+
+  // Start of the window that counts against its limit at the given instant
+  windowStart(window, now = new Date()) {
+    switch (window) {
+      case 'fifteenMinutes':
+        return new Date(now.getTime() - FIFTEEN_MINUTES_MS);
+      case 'month':
+        return startOfZonedMonth(now, this.timezone);
+      default:
+        return this.mode === 'rolling'
+          ? new Date(now.getTime() - DAY_MS)
+          : startOfZonedDay(now, this.timezone);
+    }
+  }
+
+  // End of the calendar window (day or month) that contains the given instant
+  windowEnd(window, at = new Date()) {
+    return window === 'month'
+      ? startOfZonedMonth(at, this.timezone, 1)
+      : startOfZonedDay(at, this.timezone, 1);
+  }
+
+  windowLength(window) {
+    return window === 'fifteenMinutes' ? FIFTEEN_MINUTES_MS : DAY_MS;
+  }
+
+  // Usage of every capped window, plus a summary: `remaining` is what can still be posted right
+  // now, `blockedBy` lists the full windows and `reset` is when all of them have room again
+  // (the day window's reset when none is full).
+  async getUsage(accountId = null, limits = this.defaultLimits()) {
+    try {
+      const now = new Date();
+      const windows = {};
+      const [reserved, serverWindows] = await Promise.all([
+        this.redis.zCount(this.reservationsKey(accountId), now.getTime(), '+inf'),
+        this.getServerWindows(accountId, now),
+      ]);
+
+      for (const window of this.cappedWindows(limits)) {
+        const start = this.windowStart(window, now);
+        const used = await this.redis.zCount(this.postsKey(accountId), start.getTime(), '+inf');
+        windows[window] = {
+          limit: limits[window],
+          used,
+          reserved,
+          remaining: Math.max(0, limits[window] - used - reserved),
+          windowStart: start,
+          reset: await this.getResetTime(accountId, window, limits[window], used, now),
+          source: 'local',
+        };
+      }
+
+      for (const server of serverWindows) {
+        const postedSince = await this.redis.zCount(this.postsKey(accountId), server.start, '+inf');
+        windows[server.name] = {
+          limit: server.limit,
+          used: server.limit - server.remaining + postedSince,
+          reserved,
+          remaining: Math.max(0, server.remaining - postedSince - reserved),
+          windowStart: null,
+          reset: new Date(server.reset),
+          source: 'x-api',
+        };
+      }
+
+      const capped = Object.keys(windows);
+      const blockedBy = capped.filter(window => windows[window].used >= windows[window].limit);
+      const resets = blockedBy.map(window => windows[window].reset.getTime());
+
+      return {
+        accountId: accountId || 'default',
+        plan: config.rateLimits.plan,
+        mode: this.mode,
+        timezone: this.timezone,
+        windows,
+        blockedBy,
+        remaining: capped.length ? Math.min(...capped.map(window => windows[window].remaining)) : Infinity,
+        reset: resets.length ? new Date(Math.max(...resets)) : windows.day ? windows.day.reset : now,
+      };
+    } catch (error) {
+      logger.error('Failed to get quota usage:', error);
+      throw error;
+    }
+  }
+
+  // Calendar windows reset at their next boundary. A rolling window frees a slot when the post
+  // that keeps it at the limit ages out; under the limit a slot is free now.
+  async getResetTime(accountId, window, limit, used, now = new Date()) {
+    if (!this.isRolling(window)) {
+      return this.windowEnd(window, now);
+    }
+    if (used < limit) {
+      return now;
+    }
+
+    const [oldest] = await this.redis.zRangeWithScores(
+      this.postsKey(accountId),
+      this.windowStart(window, now).getTime(),
+      '+inf',
+      { BY: 'SCORE', LIMIT: { offset: used - limit, count: 1 } }
+    );
+    return oldest ? new Date(oldest.score + this.windowLength(window)) : now;
+  }
+
+  // Whether `count` posts fit in every window now. More posts than a window ever holds only
+  // need that window to be empty; the rest has to wait for it to reset anyway.
+  async canPost(accountId = null, limits = this.defaultLimits(), count = 1) {
+    try {
+      const usage = await this.getUsage(accountId, limits);
+      const capacity = Math.min(...Object.values(usage.windows).map(window => window.limit));
+      return usage.remaining > 0 && usage.remaining >= Math.min(count, capacity);
+    } catch (error) {
+      logger.error('Failed to check tweet quota:', error);
+      return false;
+    }
+  }
+
+  // Atomically claim one post from every capped window. Returns { reservation } once held, or
+  // { blockedBy } naming the first full window; a reservation must be passed to commit or release.
+  async reserve(accountId = null, limits = this.defaultLimits()) {
+    try {
+      const now = new Date();
+      const serverWindows = await this.getServerWindows(accountId, now);
+      const windows = [...this.cappedWindows(limits), ...serverWindows.map(window => window.name)];
+      const starts = [
+        ...this.cappedWindows(limits).map(window => this.windowStart(window, now).getTime()),
+        ...serverWindows.map(window => window.start),
+      ];
+      const caps = [
+        ...this.cappedWindows(limits).map(window => limits[window]),
+        ...serverWindows.map(window => window.remaining),
+      ];
+      const reservation = {
+        id: uuidv4(),
+        postsKey: this.postsKey(accountId),
+        reservationsKey: this.reservationsKey(accountId),
+      };
+
+      const result = await this.redis.eval(RESERVE_SCRIPT, {
+        keys: [reservation.postsKey, reservation.reservationsKey],
+        arguments: [
+          String(now.getTime()),
+          reservation.id,
+          String(now.getTime() + RESERVATION_TTL_MS),
+          String(KEY_TTL_SECONDS),
+          String(Math.min(now.getTime() - DAY_MS, ...starts)),
+          ...starts.flatMap((start, i) => [String(start), String(caps[i])]),
+        ],
+      });
+
+      return result === 0 ? { reservation } : { blockedBy: windows[result - 1] };
+    } catch (error) {
+      logger.error('Failed to reserve tweet quota:', error);
+      throw error;
+    }
+  }
+
+  // Count a successful post against the quota the reservation was taken from
+  async commit(reservation) {
+    try {
+      return await this.redis.eval(COMMIT_SCRIPT, {
+        keys: [reservation.postsKey, reservation.reservationsKey],
+        arguments: [reservation.id, String(Date.now()), String(KEY_TTL_SECONDS)],
+      });
+    } catch (error) {
+      logger.error('Failed to commit tweet quota reservation:', error);
+      throw error;
+    }
+  }
+
+  // Hand a reservation back after a failed post
+  async release(reservation) {
+    try {
+      await this.redis.zRem(reservation.reservationsKey, reservation.id);
+    } catch (error) {
+      // Not rethrown: the reservation lapses on its own, and the post error matters more
+      logger.error('Failed to release tweet quota reservation:', error);
+    }
+  }
+
+  windowLabel(window) {
+    return WINDOW_LABELS[window] || 'X API';
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,379 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  zonedTimeToUtc,
+  getScheduleCron,
+  getNextCronRuns,
+  getJitterWindow,
+  isActiveSchedule,
+} = require('../utils/time');
+const databaseService = require('./DatabaseService');
+const queueService = require('./QueueService');
+const imageService = require('./ImageService');
+
+// Row fields copied into the Bull job, which is what the worker reads on every run
+const JOB_FIELDS = [
+  'id', 'schedule_type', 'cron_time', 'scheduled_for', 'custom_prompt', 'include_image', 'image_path',
+  'image_url', 'image_prompt', 'requires_review', 'text', 'thread_segments', 'timezone', 'account_id',
+  'status', 'blackout_policy', 'jitter_minutes', 'tone',
+];
+
+// Jittered runs of a schedule are posted at least this far apart
+const JITTER_GAP_MS = 60 * 1000;
+
+// Keeps scheduled_tweets rows and their Bull jobs in step. Every change to a schedule
+// goes through here so the DB row and the queue agree about what will run.
+class ScheduleService {
+  // Cron expression or one-off time for a schedule type, read in the given timezone
+  resolveTiming({ scheduleType, time, customCron, scheduledFor }, timezone) {
+    if (scheduleType === 'once') {
+      // One-off posts are queued as a delayed job instead of a cron repeat
+      const runAt = zonedTimeToUtc(scheduledFor, timezone);
+      if (isNaN(runAt.getTime()) || runAt <= new Date()) {
+        throw new Error('Validation error: Scheduled time must be in the future');
+      }
+      return { cronTime: null, runAt };
+    }
+
+    return { cronTime: getScheduleCron(scheduleType, { time, customCron }), runAt: null };
+  }
+
+  async createSchedule(scheduleData) {
+    const schedule = await databaseService.createScheduledTweet(scheduleData);
+
+    let jobKey = null;
+    try {
+      jobKey = await this.register(schedule);
+      return await databaseService.updateScheduledTweet(schedule.id, { job_key: jobKey });
+    } catch (error) {
+      // A row without a job would never run, so don't keep it
+      if (jobKey) {
+        await this.unregister({ ...schedule, job_key: jobKey });
+      }
+      await databaseService.deleteScheduledTweet(schedule.id);
+      throw error;
+    }
+  }
+
+  // Cancelled rows are never posted: the worker checks the row before posting, so the
+  // schedule is marked first and its job removed after
+  async cancelSchedule(id) {
+    const schedule = await databaseService.getScheduledTweet(id);
+    if (!schedule) {
+      throw new Error('Scheduled tweet not found');
+    }
+    if (schedule.status === 'cancelled') {
+      throw new Error('Scheduled tweet is already cancelled');
+    }
+
+    const cancelled = await databaseService.updateScheduledTweet(id, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      job_key: null,
+    });
+
+    if (schedule.status !== 'paused') {
+      await this.unregister(schedule);
+    }
+
+    // Thread segment images belong to the schedule alone; history doesn't point at them
+    await Promise.all((schedule.thread_segments || [])
+      .filter(segment => segment.imagePath)
+      .map(segment => imageService.deleteAsset(segment.imagePath)));
+
+    logger.info('Schedule cancelled:', { id, jobKey: schedule.job_key });
+    return cancelled;
+  }
+
+  // One-off tweets that already ran, and cancelled schedules, are kept as history.
+  // Paused schedules can be edited; the change is registered when they resume.
+  isEditable(schedule) {
+    if (schedule.status === 'cancelled') return false;
+    return schedule.schedule_type !== 'once' || ['scheduled', 'failed'].includes(schedule.status);
+  }
+
+  // Apply changes to a schedule and replace its queued job to match.
+  // If any step fails the previous job and row are left in place.
+  async updateSchedule(id, changes) {
+    const current = await databaseService.getScheduledTweet(id);
+    if (!current) {
+      throw new Error('Scheduled tweet not found');
+    }
+    if (!this.isEditable(current)) {
+      throw new Error(`This ${current.schedule_type} tweet is ${current.status} and can no longer be edited`);
+    }
+
+    // Nothing is queued for a paused schedule; resuming registers the edited version
+    if (current.status === 'paused') {
+      const updated = await databaseService.updateScheduledTweet(id, changes);
+      logger.info('Paused schedule edited:', id);
+      return updated;
+    }
+
+    const next = { ...current, ...changes, status: 'scheduled' };
+
+    // Bull ignores a job whose ID or repeat key already exists, so an unchanged
+    // cadence has to be removed before it can be registered with the new data
+    const sameKey = this.jobKey(current) === this.jobKey(next);
+
+    if (sameKey) {
+      await this.unregister(current);
+      try {
+        next.job_key = await this.register(next);
+      } catch (error) {
+        await this.register(current);
+        throw error;
+      }
+    } else {
+      next.job_key = await this.register(next);
+    }
+
+    let updated;
+    try {
+      updated = await databaseService.updateScheduledTweet(id, { ...changes, status: 'scheduled', job_key: next.job_key });
+    } catch (error) {
+      await this.unregister(next);
+      await this.register(current);
+      throw error;
+    }
+
+    if (!sameKey) {
+      await this.unregister(current);
+    }
+
+    logger.info('Scheduled tweet edited:', { id, cadenceChanged: !sameKey });
+    return updated;
+  }
+
+  // Stop a recurring schedule without losing its configuration
+  async pauseSchedule(id) {
+    const schedule = await databaseService.getScheduledTweet(id);
+    if (!schedule) {
+      throw new Error('Scheduled tweet not found');
+    }
+    if (schedule.schedule_type === 'once' || !this.isActive(schedule)) {
+      throw new Error(`Only active recurring schedules can be paused; this one is ${schedule.schedule_type} and ${schedule.status}`);
+    }
+
+    await this.unregister(schedule);
+
+    let updated;
+    try {
+      updated = await databaseService.updateScheduledTweet(id, {
+        status: 'paused',
+        paused_at: new Date().toISOString(),
+        job_key: null,
+      });
+    } catch (error) {
+      await this.register(schedule);
+      throw error;
+    }
+
+    logger.info('Schedule paused:', id);
+    return updated;
+  }
+
+  // Re-register a paused schedule from its stored cron_time and timezone
+  async resumeSchedule(id) {
+    const schedule = await databaseService.getScheduledTweet(id);
+    if (!schedule) {
+      throw new Error('Scheduled tweet not found');
+    }
+    if (schedule.status !== 'paused') {
+      throw new Error(`Only paused schedules can be resumed; this one is ${schedule.status}`);
+    }
+
+    const resumed = { ...schedule, status: 'scheduled' };
+    resumed.job_key = await this.register(resumed);
+
+    let updated;
+    try {
+      updated = await databaseService.updateScheduledTweet(id, { status: 'scheduled', paused_at: null, job_key: resumed.job_key });
+    } catch (error) {
+      await this.unregister(resumed);
+      throw error;
+    }
+
+    logger.info('Schedule resumed:', id);
+    return updated;
+  }
+
+  // Schedules that should have a job in Redis
+  isActive(schedule) {
+    return isActiveSchedule(schedule);
+  }
+
+  // Compare scheduled_tweets with the Bull queue: register jobs missing for active rows
+  // (e.g. after Redis was flushed) and remove jobs no active row owns. Returns a report.
+  async reconcile() {
+    const report = {
+      checkedAt: new Date().toISOString(),
+      activeSchedules: 0,
+      registered: [],
+      relinked: [],
+      removed: [],
+      errors: [],
+    };
+
+    const [schedules, repeatableJobs, pendingJobs, runningJobs] = await Promise.all([
+      databaseService.getScheduledTweets(),
+      queueService.scheduledTweetQueue.getRepeatableJobs(),
+      queueService.scheduledTweetQueue.getJobs(['delayed', 'waiting']),
+      queueService.scheduledTweetQueue.getActive(),
+    ]);
+
+    const oneOffIds = (jobs) => jobs.filter(Boolean).map(job => String(job.id)).filter(id => id.startsWith('once:'));
+    const active = schedules.filter(schedule => this.isActive(schedule));
+    const repeatKeys = new Set(repeatableJobs.map(job => job.key));
+    const oneOffJobIds = new Set([...oneOffIds(pendingJobs), ...oneOffIds(runningJobs)]);
+    // Only jobs that haven't started can be removed
+    const removableOneOffIds = oneOffIds(pendingJobs);
+    const ownedKeys = new Set();
+    report.activeSchedules = active.length;
+
+    for (const schedule of active) {
+      try {
+        if (schedule.schedule_type === 'once') {
+          // A one-off deferred for quota runs under its stored job key
+          const jobIds = [`once:${schedule.id}`, schedule.job_key].filter(Boolean);
+          jobIds.forEach(jobId => ownedKeys.add(jobId));
+          if (jobIds.some(jobId => oneOffJobIds.has(jobId))) continue;
+
+          // A one-off whose time passed while its job was missing is posted right away
+          const jobKey = await this.register(schedule);
+          await databaseService.updateScheduledTweet(schedule.id, { job_key: jobKey });
+          report.registered.push({ id: schedule.id, scheduleType: 'once', key: jobKey, overdue: new Date(schedule.scheduled_for) < new Date() });
+          continue;
+        }
+
+        if (schedule.job_key && repeatKeys.has(schedule.job_key)) {
+          ownedKeys.add(schedule.job_key);
+          continue;
+        }
+
+        // The job exists but the row doesn't know its key (rows saved before keys were stored)
+        const existing = repeatableJobs.find(job => job.id === schedule.id &&
+          job.cron === schedule.cron_time && job.tz === schedule.timezone);
+        if (existing) {
+          ownedKeys.add(existing.key);
+          await databaseService.updateScheduledTweet(schedule.id, { job_key: existing.key });
+          report.relinked.push({ id: schedule.id, key: existing.key });
+          continue;
+        }
+
+        const jobKey = await this.register(schedule);
+        ownedKeys.add(jobKey);
+        await databaseService.updateScheduledTweet(schedule.id, { job_key: jobKey });
+        report.registered.push({ id: schedule.id, scheduleType: schedule.schedule_type, key: jobKey });
+      } catch (error) {
+        logger.error(`Reconciliation failed for schedule ${schedule.id}:`, error.message);
+        report.errors.push({ id: schedule.id, error: error.message });
+      }
+    }
+
+    for (const job of repeatableJobs) {
+      if (ownedKeys.has(job.key)) continue;
+
+      try {
+        await queueService.removeRepeatableJob(job.key);
+        report.removed.push({ key: job.key, scheduleId: job.id });
+      } catch (error) {
+        report.errors.push({ key: job.key, error: error.message });
+      }
+    }
+
+    for (const jobId of removableOneOffIds) {
+      if (ownedKeys.has(jobId)) continue;
+
+      try {
+        await queueService.removeOneOffTweetJob(jobId);
+        report.removed.push({ key: jobId, scheduleId: jobId.split(':')[1] });
+      } catch (error) {
+        report.errors.push({ key: jobId, error: error.message });
+      }
+    }
+
+    logger.info('Schedule reconciliation finished:', {
+      activeSchedules: report.activeSchedules,
+      registered: report.registered.length,
+      relinked: report.relinked.length,
+      removed: report.removed.length,
+      errors: report.errors.length,
+    });
+    report.registered.forEach(entry => logger.info(`  registered missing job for schedule ${entry.id} (${entry.scheduleType})${entry.overdue ? ', overdue' : ''}`));
+    report.relinked.forEach(entry => logger.info(`  stored job key for schedule ${entry.id}`));
+    report.removed.forEach(entry => logger.info(`  removed orphan job ${entry.key}`));
+    report.errors.forEach(entry => logger.warn(`  could not fix ${entry.id || entry.key}: ${entry.error}`));
+
+    return report;
+  }
+
+  // Queue the schedule's job and return the key it can be removed by: the Bull repeat key
+  // for recurring schedules, the job ID for one-off ones
+  async register(schedule) {
+    const jobData = this.toJobData(schedule);
+
+    if (schedule.schedule_type === 'once') {
+      const job = await queueService.addOneOffTweetJob(jobData, schedule.scheduled_for);
+      return String(job.id);
+    }
+
+    const job = await queueService.addScheduledTweetJob(jobData, schedule.cron_time, schedule.timezone);
+    if (schedule.jitter_minutes > 0) {
+      try {
+        await this.planJitteredRun(jobData);
+      } catch (error) {
+        await queueService.removeRepeatableJob(job.opts.repeat.key);
+        throw error;
+      }
+    }
+    return job.opts.repeat.key;
+  }
+
+  async unregister(schedule) {
+    if (schedule.schedule_type === 'once') {
+      return queueService.removeOneOffTweetJob(schedule.job_key || `once:${schedule.id}`);
+    }
+
+    const removed = schedule.job_key
+      ? await queueService.removeRepeatableJob(schedule.job_key)
+      // Rows saved before job keys were stored
+      : await queueService.removeScheduledTweetJob(schedule.id, schedule.cron_time, schedule.timezone);
+
+    // The repeat is gone first, so it can't plan another run after these are removed
+    if (schedule.jitter_minutes > 0) {
+      await queueService.removeJitteredRunJobs(schedule.id);
+    }
+    return removed;
+  }
+
+  // Runs of a jittered schedule are posted by delayed jobs planned one run ahead, so a run can
+  // go out before its planned time as well as after; each firing of the repeat plans the next.
+  // Plans the first run whose jitter window hasn't opened yet: one whose window is already open
+  // may have been posted from an earlier registration.
+  async planJitteredRun(jobData) {
+    const timezone = jobData.timezone || config.scheduling.defaultTimezone;
+    const now = new Date();
+
+    for (const plannedAt of getNextCronRuns(jobData.cron_time, timezone, 2, now)) {
+      const { earliest, latest } = getJitterWindow(jobData.cron_time, timezone, plannedAt, jobData.jitter_minutes, JITTER_GAP_MS);
+      if (earliest < now) continue;
+
+      const runAt = new Date(earliest.getTime() + Math.floor(Math.random() * (latest.getTime() - earliest.getTime() + 1)));
+      return queueService.addJitteredRunJob(jobData, plannedAt, runAt);
+    }
+    return null;
+  }
+
+  jobKey(schedule) {
+    return schedule.schedule_type === 'once'
+      ? `once:${schedule.id}`
+      : `${schedule.timezone}:${schedule.cron_time}`;
+  }
+
+  toJobData(schedule) {
+    return Object.fromEntries(JOB_FIELDS.map(field => [field, schedule[field] === undefined ? null : schedule[field]]));
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,242 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  startOfZonedDay,
+  toDateTimeLocal,
+  zonedTimeToUtc,
+  getNextCronRuns,
+  isActiveSchedule,
+} = require('../utils/time');
+const databaseService = require('./DatabaseService');
+const accountService = require('./AccountService');
+const quotaService = require('./QuotaService');
+const scheduleService = require('./ScheduleService');
+const twitterService = require('./TwitterService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Slots closer than this are left alone: their job may already be about to run
+const SLOT_LEAD_MS = 60 * 1000;
+
+// How far ahead slots are looked for before the queue is considered unschedulable
+const MAX_DAYS_AHEAD = 366;
+
+// Upcoming runs counted per recurring schedule, as in the calendar
+const MAX_RUNS_PER_SCHEDULE = 2000;
+
+const SLOT_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// The posting queue: posts added without a time are one-off schedules flagged auto_slot,
+// kept in the order they were added and assigned the next free slots of the posting-slot
+// template, at most as many per day as the daily quota allows. Whenever the queue
+// changes, every post that hasn't come up yet is re-slotted.
+class SlottingService {
+  // Posting times of a day as HH:MM, from POSTING_SLOTS or spread evenly over the daily limit
+  getTemplate(dailyLimit) {
+    const configured = config.scheduling.postingSlots;
+    const valid = configured.filter(slot => SLOT_PATTERN.test(slot));
+    if (valid.length < configured.length) {
+      logger.warn('Ignoring invalid POSTING_SLOTS entries:', configured.filter(slot => !valid.includes(slot)));
+    }
+
+    const slots = valid.length > 0
+      ? valid
+      : twitterService.calculateOptimalSchedule(dailyLimit)
+        .flatMap(({ hour, delays }) => delays.map(minute => `${hour}:${minute}`));
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return [...new Set(slots.map(slot => {
+      const [hour, minute] = slot.split(':');
+      return `${pad(hour)}:${pad(minute)}`;
+    }))].sort();
+  }
+
+  async getTimezone(accountId) {
+    return config.scheduling.postingSlotsTimezone || accountService.getTimezone(accountId);
+  }
+
+  // The next `count` free slots. A slot is free when every quota window it falls in (15-minute,
+  // daily, monthly and the X API's own) has room for it, counting what was already posted in the
+  // windows in progress and the posts already planned in each window: the account's other
+  // schedules, and `pending`, the times of queued posts that keep their slot.
+  async planSlots(accountId, count, { pending = [] } = {}) {
+    if (count === 0) return [];
+
+    const now = new Date();
+    const [timezone, limits, scheduled] = await Promise.all([
+      this.getTimezone(accountId),
+      accountService.getQuotaLimits(accountId),
+      this.getScheduledPosts(accountId, new Date(now.getTime() + (MAX_DAYS_AHEAD + 1) * DAY_MS)),
+    ]);
+    const usage = await quotaService.getUsage(accountId, limits);
+    const template = this.getTemplate(limits.day);
+    const earliest = now.getTime() + SLOT_LEAD_MS;
+    const planned = [...pending, ...scheduled].map(date => date.getTime());
+
+    const slots = [];
+    for (let dayOffset = 0; slots.length < count && dayOffset < MAX_DAYS_AHEAD; dayOffset++) {
+      const date = toDateTimeLocal(startOfZonedDay(now, timezone, dayOffset), timezone).slice(0, 10);
+
+      for (const time of template) {
+        if (slots.length === count) break;
+
+        const slot = zonedTimeToUtc(`${date}T${time}`, timezone);
+        if (slot.getTime() < earliest || !this.hasRoom(usage, planned, slot, now)) continue;
+
+        slots.push(slot);
+        planned.push(slot.getTime());
+      }
+    }
+
+    if (slots.length < count) {
+      throw new Error(`Only ${slots.length} posting slots are available in the next ${MAX_DAYS_AHEAD} days for ${count} queued posts`);
+    }
+    return slots;
+  }
+
+  // When the account's active one-off and recurring schedules post before `to`, once per thread
+  // segment, counted the way the calendar counts them against the quota. Queued posts are left
+  // out: splitQueue decides which of them keep their time.
+  async getScheduledPosts(accountId, to) {
+    const id = accountService.resolveId(accountId);
+    const schedules = (await databaseService.getScheduledTweets())
+      .filter(schedule => !schedule.auto_slot && isActiveSchedule(schedule) &&
+        accountService.resolveId(schedule.account_id) === id);
+
+    const now = new Date();
+    const times = [];
+    for (const schedule of schedules) {
+      let runs;
+      try {
+        runs = schedule.schedule_type === 'once'
+          ? [new Date(schedule.scheduled_for)]
+          : getNextCronRuns(schedule.cron_time, schedule.timezone || config.scheduling.defaultTimezone, MAX_RUNS_PER_SCHEDULE, now);
+      } catch (error) {
+        logger.warn(`Skipping schedule ${schedule.id} when planning slots:`, error.message);
+        continue;
+      }
+
+      const posts = schedule.thread_segments ? schedule.thread_segments.length : 1;
+      for (const runAt of runs.filter(run => run < to)) {
+        times.push(...Array(posts).fill(runAt));
+      }
+    }
+    return times;
+  }
+
+  // Whether a post at `slot` stays within every window of the quota usage
+  hasRoom(usage, planned, slot, now) {
+    const at = slot.getTime();
+    const plannedBetween = (from, to) => planned.filter(time => time >= from && time < to).length;
+
+    return Object.entries(usage.windows).every(([name, window]) => {
+      // The X API's windows only hold until they reset; every queued post before then counts
+      if (window.source === 'x-api') {
+        const reset = window.reset.getTime();
+        return at >= reset || plannedBetween(-Infinity, reset) < window.remaining;
+      }
+
+      // Rolling windows: the posts in the window ending at the slot. Posts made so far count
+      // while that window reaches back before now.
+      if (quotaService.isRolling(name)) {
+        const from = at - quotaService.windowLength(name) + 1;
+        const posted = from <= now.getTime() ? window.used + window.reserved : 0;
+        return posted + plannedBetween(from, at + 1) < window.limit;
+      }
+
+      // Calendar windows: the day or month the slot falls in; only the current one has posts
+      const start = quotaService.windowStart(name, slot).getTime();
+      const posted = start <= now.getTime() ? window.used + window.reserved : 0;
+      return posted + plannedBetween(start, quotaService.windowEnd(name, slot).getTime()) < window.limit;
+    });
+  }
+
+  // Add a post to the end of the account's queue
+  async enqueue(scheduleData) {
+    const accountId = scheduleData.account_id || null;
+    const [slot] = await this.nextSlots(accountId, 1);
+    const schedule = await scheduleService.createSchedule(this.toQueued(scheduleData, slot));
+
+    // Earlier posts may have drifted from their slots, e.g. after the quota changed.
+    // The new post already has a free slot, so a failure here doesn't undo adding it.
+    try {
+      await this.reslot(accountId);
+    } catch (error) {
+      logger.error('Failed to re-slot the queue after adding a post:', error.message);
+    }
+    return (await databaseService.getScheduledTweet(schedule.id)) || schedule;
+  }
+
+  // Slots for `count` posts added to the end of the queue, in order. Posts already queued
+  // keep theirs, so several posts can be added with a single plan.
+  async nextSlots(accountId, count) {
+    if (count === 0) return [];
+
+    const queued = await databaseService.getQueuedTweets(accountId);
+    const { upcoming, pending } = this.splitQueue(queued);
+    const slots = await this.planSlots(accountId, upcoming.length + count, { pending });
+    return slots.slice(upcoming.length);
+  }
+
+  // The schedule row of a queued post that takes the given slot
+  toQueued(scheduleData, slot) {
+    return {
+      ...scheduleData,
+      schedule_type: 'once',
+      cron_time: null,
+      scheduled_for: slot.toISOString(),
+      auto_slot: true,
+    };
+  }
+
+  // Re-assign slots to every queued post that hasn't come up yet, keeping their order.
+  // Returns the posts that moved.
+  async reslot(accountId = null) {
+    const queued = await databaseService.getQueuedTweets(accountId);
+    const { upcoming, pending } = this.splitQueue(queued);
+    const slots = await this.planSlots(accountId, upcoming.length, { pending });
+
+    const moved = [];
+    for (const [index, schedule] of upcoming.entries()) {
+      const slot = slots[index];
+      if (new Date(schedule.scheduled_for).getTime() === slot.getTime()) continue;
+
+      await scheduleService.updateSchedule(schedule.id, { scheduled_for: slot.toISOString() });
+      moved.push({ id: schedule.id, from: schedule.scheduled_for, to: slot.toISOString() });
+    }
+
+    if (moved.length > 0) {
+      logger.info(`Re-slotted ${moved.length} queued post(s) for account ${accountService.resolveId(accountId)}`);
+    }
+    return moved;
+  }
+
+  // Queued posts due within the lead time (or held back for quota) keep their slot and
+  // count against the quota windows their time falls in; the rest can be moved
+  splitQueue(queued) {
+    const earliest = Date.now() + SLOT_LEAD_MS;
+    const upcoming = queued.filter(schedule => new Date(schedule.scheduled_for).getTime() >= earliest);
+    const pending = queued
+      .filter(schedule => !upcoming.includes(schedule))
+      .map(schedule => new Date(schedule.scheduled_for));
+    return { upcoming, pending };
+  }
+
+  // The queue with its slots, for display
+  async getQueue(accountId = null) {
+    const [queued, timezone, limits] = await Promise.all([
+      databaseService.getQueuedTweets(accountId),
+      this.getTimezone(accountId),
+      accountService.getQuotaLimits(accountId),
+    ]);
+
+    return {
+      accountId: accountService.resolveId(accountId),
+      timezone,
+      template: this.getTemplate(limits.day),
+      posts: queued,
+    };
+  }
+}
+
+module.exports = new SlottingService();
@@ -1,49 +1,170 @@
 const { TwitterApi } = require('twitter-api-v2');
 const config = require('../config');
 const logger = require('../utils/logger');
-const queueService = require('./QueueService');
+const quotaService = require('./QuotaService');
+const accountService = require('./AccountService');
+const databaseService = require('./DatabaseService');
 const dotenv = require('dotenv');
 dotenv.config();
 
+// Endpoints whose rate-limit headers are recorded, by the limit_type prefix they are stored under
+const RATE_LIMITED_ENDPOINTS = [
+  { name: 'tweets', method: 'POST', pattern: /\/2\/tweets$/ },
+  { name: 'media_upload', method: 'POST', pattern: /\/media\/upload(\.json)?$/ },
+  { name: 'tweets_lookup', method: 'GET', pattern: /\/2\/tweets$/ },
+];
+
+// Posts per lookup request
+const MAX_LOOKUP_IDS = 100;
+
 class TwitterService {
   constructor() {
-    this.client = new TwitterApi({
-      appKey: config.twitter.apiKey,
-      appSecret: config.twitter.apiSecret,
-      accessToken: config.twitter.accessToken,
-      accessSecret: config.twitter.accessSecret,
+    // Client for the default account configured through TWITTER_* env vars
+    this.client = this.createClient(config.twitter);
+
+    // Rate limit status per account ID
+    this.rateLimitStatus = {};
+
+    // Rate limits from the latest X API response, per account and endpoint, until recorded
+    this.reportedRateLimits = new Map();
+  }
+
+  createClient(credentials, accountId = null) {
+    return new TwitterApi({
+      appKey: credentials.apiKey,
+      appSecret: credentials.apiSecret,
+      accessToken: credentials.accessToken,
+      accessSecret: credentials.accessSecret,
+    }, {
+      plugins: [this.rateLimitPlugin(accountId)],
     });
+  }
 
-    this.rateLimitStatus = {
-      daily: {
-        limit: config.rateLimits.dailyTweetLimit,
-        remaining: config.rateLimits.dailyTweetLimit,
-        reset: 0,
-        lastUpdated: 0,
-      },
+  // Client plugin that keeps the rate-limit headers of post, upload and lookup responses, errors included
+  rateLimitPlugin(accountId) {
+    const capture = ({ url, params, response, error }) => {
+      const endpoint = RATE_LIMITED_ENDPOINTS.find(({ method, pattern }) =>
+        pattern.test(url.pathname) && (!params || params.method.toUpperCase() === method));
+      const snapshots = endpoint ? this.parseRateLimits(endpoint.name, response || error) : [];
+      if (snapshots.length > 0) {
+        const key = `${accountService.resolveId(accountId)}:${endpoint.name}`;
+        this.reportedRateLimits.set(key, this.mergeRateLimits(this.reportedRateLimits.get(key) || [], snapshots));
+      }
     };
+
+    return { onAfterRequest: capture, onResponseError: capture };
+  }
+
+  // Concurrent requests can finish out of order, so a snapshot only replaces one of the same
+  // limit type that it supersedes
+  mergeRateLimits(kept, snapshots) {
+    const merged = new Map(kept.map(snapshot => [snapshot.limitType, snapshot]));
+    snapshots
+      .filter(snapshot => quotaService.supersedes(snapshot, merged.get(snapshot.limitType)))
+      .forEach(snapshot => merged.set(snapshot.limitType, snapshot));
+    return [...merged.values()];
   }
 
-  async postTweet(text, mediaId = null) {
+  // The endpoint's own window, the app's 24-hour window and the user's 24-hour window, when reported
+  parseRateLimits(endpoint, { rateLimit, headers = {} } = {}) {
+    const snapshots = [];
+    if (rateLimit) {
+      snapshots.push({ limitType: endpoint, ...rateLimit });
+      if (rateLimit.day) {
+        snapshots.push({ limitType: `${endpoint}:app_24h`, ...rateLimit.day });
+      }
+    }
+    if (headers['x-user-limit-24hour-limit']) {
+      snapshots.push({
+        limitType: `${endpoint}:user_24h`,
+        limit: Number(headers['x-user-limit-24hour-limit']),
+        remaining: Number(headers['x-user-limit-24hour-remaining']),
+        reset: Number(headers['x-user-limit-24hour-reset']),
+      });
+    }
+
+    // Reset times arrive as Unix seconds
+    return snapshots
+      .filter(snapshot => Number.isFinite(snapshot.remaining) && Number.isFinite(snapshot.reset))
+      .map(({ limitType, limit, remaining, reset }) => ({ limitType, limit, remaining, reset: reset * 1000 }));
+  }
+
+  // Store the limits the last response reported: posting limits feed the quota check, and every
+  // snapshot is kept in rate_limits. Failures are logged, never thrown, so they can't fail a post.
+  // Returns the snapshots.
+  async recordRateLimits(accountId, endpoint) {
+    const id = accountService.resolveId(accountId);
+    const key = `${id}:${endpoint}`;
+    const snapshots = this.reportedRateLimits.get(key);
+    if (!snapshots) return [];
+    this.reportedRateLimits.delete(key);
+
     try {
-      // Check if we can post (daily limit)
-      const canPost = await queueService.canProcessTweet();
-      if (!canPost) {
-        const dailyCount = await queueService.getDailyCount();
-        throw new Error(`Daily tweet limit reached (${dailyCount}/${config.rateLimits.dailyTweetLimit}). Please wait for reset.`);
+      if (endpoint === 'tweets') {
+        await quotaService.recordServerLimits(accountId, snapshots);
+      }
+      await Promise.all(snapshots.map(snapshot => databaseService.saveRateLimitStatus({
+        account_id: id === accountService.defaultAccountId ? null : id,
+        limit_type: snapshot.limitType,
+        limit_value: snapshot.limit,
+        remaining: snapshot.remaining,
+        reset_time: new Date(snapshot.reset).toISOString(),
+      })));
+    } catch (error) {
+      logger.error(`Failed to record ${endpoint} rate limits:`, error.message);
+    }
+    return snapshots;
+  }
+
+  // Client for the given account; null or 'default' is the env-configured account
+  async getClient(accountId = null) {
+    if (accountService.resolveId(accountId) === accountService.defaultAccountId) {
+      return this.client;
+    }
+    return this.createClient(await accountService.getCredentials(accountId), accountId);
+  }
+
+  async postTweet(text, mediaId = null, options = {}) {
+    const accountId = options.accountId || null;
+
+    try {
+      // Claim a slot in every quota window before calling the API, so concurrent posts can't overshoot them
+      const limits = await accountService.getQuotaLimits(accountId);
+      const { reservation, blockedBy } = await quotaService.reserve(accountId, limits);
+      if (!reservation) {
+        const usage = await quotaService.getUsage(accountId, limits);
+        const window = usage.windows[blockedBy];
+        const error = new Error(`${quotaService.windowLabel(blockedBy)} tweet limit reached (${window.used + window.reserved}/${window.limit}). Please wait for reset.`);
+        // Lets callers hold the post for the reset instead of treating it as failed
+        error.quotaBlockedBy = blockedBy;
+        throw error;
       }
 
       const tweetOptions = {};
       if (mediaId) {
         tweetOptions.media = { media_ids: [mediaId] };
       }
+      if (options.replyToTweetId) {
+        tweetOptions.reply = { in_reply_to_tweet_id: options.replyToTweetId };
+      }
 
-      const result = await this.client.v2.tweet(text, tweetOptions);
-      
-      // Increment daily count
-      await queueService.incrementDailyCount();
+      let result;
+      try {
+        const client = await this.getClient(accountId);
+        result = await client.v2.tweet(text, tweetOptions);
+      } catch (error) {
+        // Nothing was posted, so the slot goes back to the quota
+        await quotaService.release(reservation);
+        await this.recordRateLimits(accountId, 'tweets');
+        throw error;
+      }
+
+      // Committed first, so the reported remaining already includes this post
+      await quotaService.commit(reservation);
+      await this.recordRateLimits(accountId, 'tweets');
       
       logger.info('Tweet posted successfully:', {
+        accountId: accountService.resolveId(accountId),
         tweetId: result.data.id,
         text: text.substring(0, 50) + '...',
       });
@@ -69,7 +190,7 @@ class TwitterService {
         newError.code = error.code;
         throw newError;
       } else if (error.code === 429 || error.message.includes('rate limit')) {
-        await this.updateRateLimitStatus();
+        await this.updateRateLimitStatus(accountId);
         const newError = new Error('Twitter API rate limit exceeded. Please wait before posting again.');
         newError.code = error.code;
         throw newError;
@@ -86,74 +207,137 @@ class TwitterService {
     }
   }
 
-  async uploadMedia(filePath) {
+  // `file` is a path or a Buffer; buffers need `options.mimeType`
+  async uploadMedia(file, accountId = null, options = {}) {
     try {
-      const mediaId = await this.client.v1.uploadMedia(filePath);
+      // Media must be uploaded by the account that will post it
+      const client = await this.getClient(accountId);
+      const mediaId = Buffer.isBuffer(file)
+        ? await client.v1.uploadMedia(file, { mimeType: options.mimeType })
+        : await client.v1.uploadMedia(file);
       logger.info('Media uploaded successfully:', mediaId);
+      await this.recordRateLimits(accountId, 'media_upload');
       return mediaId;
     } catch (error) {
       logger.error('Failed to upload media:', error.message);
+      await this.recordRateLimits(accountId, 'media_upload');
       throw error;
     }
   }
 
-  async updateRateLimitStatus() {
+  // Public metrics of up to 100 posts, read through the account that posted them. Posts that
+  // no longer exist are listed in `missing`. `rateLimit` is the lookup endpoint's current window.
+  async getPublicMetrics(tweetIds, accountId = null) {
+    if (tweetIds.length > MAX_LOOKUP_IDS) {
+      throw new Error(`At most ${MAX_LOOKUP_IDS} posts can be looked up at once`);
+    }
+
     try {
-      // For Twitter API v2, we track daily limits manually since free tier has 17 tweets/day
-      const dailyCount = await queueService.getDailyCount();
-      const remaining = Math.max(0, config.rateLimits.dailyTweetLimit - dailyCount);
-      
-      // Calculate reset time (midnight UTC)
-      const now = new Date();
-      const tomorrow = new Date(now);
-      tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-      tomorrow.setUTCHours(0, 0, 0, 0);
+      const client = await this.getClient(accountId);
+      const result = await client.v2.tweets(tweetIds, { 'tweet.fields': ['public_metrics'] });
+      const snapshots = await this.recordRateLimits(accountId, 'tweets_lookup');
+
+      const metrics = (result.data || []).map(tweet => {
+        const publicMetrics = tweet.public_metrics || {};
+        return {
+          tweetId: tweet.id,
+          likes: publicMetrics.like_count || 0,
+          reposts: publicMetrics.retweet_count || 0,
+          replies: publicMetrics.reply_count || 0,
+          quotes: publicMetrics.quote_count || 0,
+          impressions: publicMetrics.impression_count || 0,
+          bookmarks: publicMetrics.bookmark_count || 0,
+        };
+      });
+      const found = new Set(metrics.map(metric => metric.tweetId));
+
+      return {
+        metrics,
+        missing: tweetIds.filter(id => !found.has(id)),
+        rateLimit: snapshots.find(snapshot => snapshot.limitType === 'tweets_lookup') || null,
+      };
+    } catch (error) {
+      logger.error('Failed to look up tweet metrics:', error.message);
+      await this.recordRateLimits(accountId, 'tweets_lookup');
+      throw error;
+    }
+  }
+
+  async updateRateLimitStatus(accountId = null) {
+    try {
+      const id = accountService.resolveId(accountId);
+
+      // For Twitter API v2, we track the plan's limits manually (the free tier allows 17 tweets/day)
+      const limits = await accountService.getQuotaLimits(accountId);
+      const usage = await quotaService.getUsage(accountId, limits);
       
-      this.rateLimitStatus = {
+      this.rateLimitStatus[id] = {
         daily: {
-          limit: config.rateLimits.dailyTweetLimit,
-          remaining: remaining,
-          reset: tomorrow.getTime(),
+          limit: limits.day,
+          remaining: usage.remaining,
+          reset: usage.reset.getTime(),
+          mode: usage.mode,
+          timezone: usage.timezone,
           lastUpdated: Date.now(),
         },
+        plan: usage.plan,
+        windows: usage.windows,
+        blockedBy: usage.blockedBy,
       };
 
       logger.info('Rate limit status updated:', {
-        remaining,
-        limit: config.rateLimits.dailyTweetLimit,
-        resetTime: tomorrow.toISOString(),
+        accountId: id,
+        remaining: usage.remaining,
+        blockedBy: usage.blockedBy,
+        resetTime: usage.reset.toISOString(),
       });
 
-      return this.rateLimitStatus;
+      return this.rateLimitStatus[id];
     } catch (error) {
       logger.error('Failed to update rate limit status:', error);
       return null;
     }
   }
 
-  async getRateLimitStatus() {
+  async getRateLimitStatus(accountId = null) {
     try {
-      // Update rate limit status if it's been more than 5 minutes
-      const timeSinceUpdate = Date.now() - this.rateLimitStatus.daily.lastUpdated;
-      if (timeSinceUpdate > 5 * 60 * 1000) { // 5 minutes
-        await this.updateRateLimitStatus();
+      const id = accountService.resolveId(accountId);
+
+      // Always read the live quota so this matches what postTweet enforces
+      const status = await this.updateRateLimitStatus(accountId);
+      if (!status) {
+        throw new Error('Rate limit status is unavailable');
       }
 
+      const daily = status.daily;
       const now = Date.now();
-      const resetTime = new Date(this.rateLimitStatus.daily.reset);
-      const timeUntilReset = Math.max(0, this.rateLimitStatus.daily.reset - now);
+      const resetTime = new Date(daily.reset);
+      const timeUntilReset = Math.max(0, daily.reset - now);
+      const waitText = timeUntilReset < 60 * 60 * 1000
+        ? `${Math.ceil(timeUntilReset / (1000 * 60))} minutes`
+        : `${Math.ceil(timeUntilReset / (1000 * 60 * 60))} hours`;
+      const fullWindow = status.blockedBy[0];
+      const slidingReset = fullWindow === 'fifteenMinutes' || (fullWindow === 'day' && daily.mode === 'rolling');
 
       return {
         success: true,
-        limit: this.rateLimitStatus.daily.limit,
-        remaining: this.rateLimitStatus.daily.remaining,
-        reset: this.rateLimitStatus.daily.reset,
+        accountId: id,
+        plan: status.plan,
+        limit: daily.limit,
+        remaining: daily.remaining,
+        reset: daily.reset,
         resetTime: resetTime.toISOString(),
+        mode: daily.mode,
+        timezone: daily.timezone,
+        windows: status.windows,
+        blockedBy: status.blockedBy,
         timeUntilReset: timeUntilReset,
-        status: this.rateLimitStatus.daily.remaining > 0 ? 'OK' : 'RATE_LIMIT_REACHED',
-        message: this.rateLimitStatus.daily.remaining > 0 
-          ? `You have ${this.rateLimitStatus.daily.remaining} tweets remaining today.`
-          : `Daily limit reached. Resets in ${Math.ceil(timeUntilReset / (1000 * 60 * 60))} hours.`,
+        status: daily.remaining > 0 ? 'OK' : 'RATE_LIMIT_REACHED',
+        message: daily.remaining > 0 
+          ? `You have ${daily.remaining} tweets remaining ${daily.mode === 'rolling' ? 'in the rolling 24-hour window' : 'today'}.`
+          : fullWindow
+            ? `${quotaService.windowLabel(fullWindow)} limit reached. ${slidingReset ? 'Next slot frees up' : 'Resets'} in ${waitText}.`
+            : 'The remaining quota is held by posts in progress. Try again in a few minutes.',
       };
     } catch (error) {
       logger.error('Failed to get rate limit status:', error);
@@ -165,9 +349,10 @@ class TwitterService {
   }
 
   // Verify Twitter API credentials
-  async verifyCredentials() {
+  async verifyCredentials(accountId = null) {
     try {
-      const user = await this.client.v2.me();
+      const client = await this.getClient(accountId);
+      const user = await client.v2.me();
       logger.info('Twitter API credentials verified for user:', user.data.username);
       return true;
     } catch (error) {
@@ -176,15 +361,14 @@ class TwitterService {
     }
   }
 
-  // Calculate optimal tweet distribution throughout the day
+  // Calculate optimal tweet distribution throughout the day. Fewer tweets than hours are
+  // spread evenly over the day rather than packed into the first hours.
   calculateOptimalSchedule(totalTweets) {
     const hoursInDay = 24;
-    const tweetsPerHour = Math.floor(totalTweets / hoursInDay);
-    const remainder = totalTweets % hoursInDay;
     
     const schedule = [];
     for (let hour = 0; hour < hoursInDay; hour++) {
-      const tweetsThisHour = tweetsPerHour + (hour < remainder ? 1 : 0);
+      const tweetsThisHour = Math.floor((hour + 1) * totalTweets / hoursInDay) - Math.floor(hour * totalTweets / hoursInDay);
       if (tweetsThisHour > 0) {
         schedule.push({
           hour,
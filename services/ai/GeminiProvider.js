@@ -0,0 +1,30 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    this.name = 'gemini';
+    this.model = model || 'gemini-1.5-flash';
+    this.requestDelayMs = 1000;
+    this.ai = new GoogleGenerativeAI(apiKey);
+  }
+
+  async generateText(prompt) {
+    try {
+      const model = this.ai.getGenerativeModel({ model: this.model });
+      const response = await model.generateContent(prompt);
+      return response.response.text();
+    } catch (error) {
+      // Provide more specific error messages
+      if (error.message.includes('API_KEY_INVALID') || error.message.includes('demo')) {
+        throw new Error('AI service not configured. Please set GEMINI_API_KEY in your .env file.');
+      } else if (error.message.includes('QUOTA_EXCEEDED')) {
+        throw new Error('AI service quota exceeded. Please check your Gemini API usage limits.');
+      } else if (error.message.includes('SAFETY')) {
+        throw new Error('AI service blocked content due to safety filters. Please try a different prompt.');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = GeminiProvider;
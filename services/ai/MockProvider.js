@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+const TEMPLATES = [
+  '🚀 {topic} - small steps, big results. #Tech #Innovation',
+  '💡 Quick insight on {topic}: start simple, measure, then iterate. #Learning',
+  '🔥 {topic} is changing how teams work. What is your take? #TechTrends',
+  '⚡ Three words on {topic}: automate, review, repeat. #Productivity',
+  '🌟 Still thinking about {topic} today. The possibilities are endless. #Future',
+];
+
+// Deterministic, offline provider for tests and local development: the same
+// prompt always produces the same text and no network calls are made
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.requestDelayMs = 0;
+  }
+
+  async generateText(prompt) {
+    const digest = crypto.createHash('sha256').update(prompt).digest();
+
+    const imageMatch = prompt.match(/Based on this tweet: "([\s\S]*?)"/);
+    if (imageMatch) {
+      return `Clean minimalist illustration of ${this.topic(imageMatch[1])}, soft gradient background`;
+    }
+
+    const aboutMatch = prompt.match(/post about: (.*)/);
+    const topic = this.topic(aboutMatch ? aboutMatch[1] : prompt);
+    return TEMPLATES[digest[0] % TEMPLATES.length].replace('{topic}', topic);
+  }
+
+  topic(text) {
+    return text.trim().split('\n')[0].slice(0, 120);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// Any server exposing the OpenAI chat completions API: hosted models, or a local
+// model server such as Ollama, llama.cpp or vLLM
+class OpenAICompatibleProvider {
+  constructor({ name, apiKey, baseUrl, model, timeoutMs, requestDelayMs = 1000 }) {
+    if (!baseUrl) {
+      throw new Error(`AI service not configured. Please set AI_BASE_URL for the ${name} provider.`);
+    }
+    if (!model) {
+      throw new Error(`AI service not configured. Please set AI_MODEL for the ${name} provider.`);
+    }
+
+    this.name = name;
+    this.model = model;
+    this.requestDelayMs = requestDelayMs;
+    this.http = axios.create({
+      baseURL: baseUrl.replace(/\/$/, ''),
+      timeout: timeoutMs,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    });
+  }
+
+  async generateText(prompt) {
+    try {
+      const response = await this.http.post('/chat/completions', {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+      });
+
+      const content = response.data.choices && response.data.choices[0] && response.data.choices[0].message.content;
+      if (!content) {
+        throw new Error('Empty response from model');
+      }
+      return content;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 || status === 403) {
+        throw new Error(`AI service credentials were rejected by the ${this.name} provider. Please check AI_API_KEY.`);
+      } else if (status === 429) {
+        throw new Error(`AI service quota exceeded. Please check your ${this.name} usage limits.`);
+      } else if (error.code === 'ECONNREFUSED' || error.code === 'ECONNABORTED') {
+        throw new Error(`AI service unreachable at ${this.http.defaults.baseURL}. Is the model server running?`);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,40 @@
+const GeminiProvider = require('./GeminiProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const MockProvider = require('./MockProvider');
+
+// Build the text generation provider selected by config.ai.provider
+const createProvider = (aiConfig) => {
+  switch (aiConfig.provider) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: aiConfig.geminiApiKey,
+        model: aiConfig.model,
+      });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name: 'openai',
+        apiKey: aiConfig.apiKey,
+        baseUrl: aiConfig.baseUrl || 'https://api.openai.com/v1',
+        model: aiConfig.model || 'gpt-4o-mini',
+        timeoutMs: aiConfig.timeoutMs,
+      });
+    case 'local':
+      // Defaults match a local Ollama server
+      return new OpenAICompatibleProvider({
+        name: 'local',
+        apiKey: aiConfig.apiKey,
+        baseUrl: aiConfig.baseUrl || 'http://localhost:11434/v1',
+        model: aiConfig.model || 'llama3.1',
+        timeoutMs: aiConfig.timeoutMs,
+        requestDelayMs: 0,
+      });
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${aiConfig.provider}. Use gemini, openai, local or mock.`);
+  }
+};
+
+module.exports = {
+  createProvider,
+};
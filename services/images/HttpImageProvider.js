@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+// Generic backend: POST { prompt, size } to IMAGE_BASE_URL. The response may be the
+// image itself, or JSON with `b64_json` or `url`.
+class HttpImageProvider {
+  constructor({ apiKey, baseUrl, size, timeoutMs }) {
+    if (!baseUrl) {
+      throw new Error('Image generation not configured. Please set IMAGE_BASE_URL for the http image provider.');
+    }
+
+    this.name = 'http';
+    this.baseUrl = baseUrl;
+    this.size = size;
+    this.timeoutMs = timeoutMs;
+    this.headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  }
+
+  async generateImage(prompt) {
+    const response = await axios.post(this.baseUrl, { prompt, size: this.size }, {
+      headers: this.headers,
+      responseType: 'arraybuffer',
+      timeout: this.timeoutMs,
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType.startsWith('image/')) {
+      return { buffer: Buffer.from(response.data), mimeType: contentType.split(';')[0] };
+    }
+
+    const body = JSON.parse(Buffer.from(response.data).toString('utf8'));
+    if (body.b64_json) {
+      return { buffer: Buffer.from(body.b64_json, 'base64'), mimeType: body.mimeType || 'image/png' };
+    }
+    if (body.url) {
+      const download = await axios.get(body.url, { responseType: 'arraybuffer', timeout: this.timeoutMs });
+      return { buffer: Buffer.from(download.data), mimeType: download.headers['content-type'] || 'image/png' };
+    }
+
+    throw new Error('Image generator returned no image');
+  }
+}
+
+module.exports = HttpImageProvider;
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores assets under a directory inside the app; asset paths are relative to the app root
+class LocalImageStorage {
+  constructor({ localDir }) {
+    this.name = 'local';
+    this.rootDir = path.join(__dirname, '../..');
+    this.localDir = localDir;
+  }
+
+  async save(key, buffer) {
+    const assetPath = path.posix.join(this.localDir, key);
+    const filePath = path.join(this.rootDir, assetPath);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return assetPath;
+  }
+
+  async load(assetPath) {
+    return fs.promises.readFile(path.join(this.rootDir, assetPath));
+  }
+
+  async remove(assetPath) {
+    await fs.promises.rm(path.join(this.rootDir, assetPath), { force: true });
+  }
+}
+
+module.exports = LocalImageStorage;
@@ -0,0 +1,41 @@
+const axios = require('axios');
+
+// OpenAI-compatible images API (POST /images/generations)
+class OpenAIImageProvider {
+  constructor({ apiKey, baseUrl, model, size, timeoutMs }) {
+    if (!apiKey) {
+      throw new Error('Image generation not configured. Please set IMAGE_API_KEY in your .env file.');
+    }
+
+    this.name = 'openai';
+    this.model = model || 'gpt-image-1';
+    this.size = size;
+    this.http = axios.create({
+      baseURL: (baseUrl || 'https://api.openai.com/v1').replace(/\/$/, ''),
+      timeout: timeoutMs,
+      headers: { Authorization: `Bearer ${apiKey}` },
+    });
+  }
+
+  async generateImage(prompt) {
+    const response = await this.http.post('/images/generations', {
+      model: this.model,
+      prompt,
+      size: this.size,
+      n: 1,
+    });
+
+    const image = response.data.data && response.data.data[0];
+    if (image && image.b64_json) {
+      return { buffer: Buffer.from(image.b64_json, 'base64'), mimeType: 'image/png' };
+    }
+    if (image && image.url) {
+      const download = await axios.get(image.url, { responseType: 'arraybuffer', timeout: this.http.defaults.timeout });
+      return { buffer: Buffer.from(download.data), mimeType: download.headers['content-type'] || 'image/png' };
+    }
+
+    throw new Error('Image generator returned no image');
+  }
+}
+
+module.exports = OpenAIImageProvider;
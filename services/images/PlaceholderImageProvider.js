@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Stock photo seeded by the prompt, so the same prompt gets the same picture.
+// Useful before a real generator is configured.
+class PlaceholderImageProvider {
+  constructor({ timeoutMs }) {
+    this.name = 'placeholder';
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generateImage(prompt) {
+    const seed = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+    const response = await axios.get(`https://picsum.photos/seed/${seed}/800/600`, {
+      responseType: 'arraybuffer',
+      timeout: this.timeoutMs,
+    });
+
+    return { buffer: Buffer.from(response.data), mimeType: response.headers['content-type'] || 'image/jpeg' };
+  }
+}
+
+module.exports = PlaceholderImageProvider;
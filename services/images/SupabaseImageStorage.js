@@ -0,0 +1,46 @@
+const supabase = require('../../supabaseClient');
+
+const PREFIX = 'supabase:';
+
+// Stores assets in a Supabase Storage bucket; asset paths look like `supabase:<bucket>/<key>`
+class SupabaseImageStorage {
+  constructor({ bucket }) {
+    this.name = 'supabase';
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, mimeType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType: mimeType, upsert: false });
+
+    if (error) throw error;
+    return `${PREFIX}${this.bucket}/${key}`;
+  }
+
+  async load(assetPath) {
+    const { bucket, key } = this.parse(assetPath);
+    const { data, error } = await supabase.storage.from(bucket).download(key);
+
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(assetPath) {
+    const { bucket, key } = this.parse(assetPath);
+    const { error } = await supabase.storage.from(bucket).remove([key]);
+
+    if (error) throw error;
+  }
+
+  parse(assetPath) {
+    const [bucket, ...key] = assetPath.slice(PREFIX.length).split('/');
+    return { bucket, key: key.join('/') };
+  }
+
+  static owns(assetPath) {
+    return typeof assetPath === 'string' && assetPath.startsWith(PREFIX);
+  }
+}
+
+module.exports = SupabaseImageStorage;
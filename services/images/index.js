@@ -0,0 +1,38 @@
+const OpenAIImageProvider = require('./OpenAIImageProvider');
+const HttpImageProvider = require('./HttpImageProvider');
+const PlaceholderImageProvider = require('./PlaceholderImageProvider');
+const LocalImageStorage = require('./LocalImageStorage');
+const SupabaseImageStorage = require('./SupabaseImageStorage');
+
+// Build the image generator selected by config.images.provider
+const createImageProvider = (imageConfig) => {
+  switch (imageConfig.provider) {
+    case 'openai':
+      return new OpenAIImageProvider(imageConfig);
+    case 'http':
+      return new HttpImageProvider(imageConfig);
+    case 'placeholder':
+      return new PlaceholderImageProvider(imageConfig);
+    default:
+      throw new Error(`Unknown image provider: ${imageConfig.provider}. Use openai, http or placeholder.`);
+  }
+};
+
+// Build the asset store selected by config.images.storage
+const createImageStorage = (imageConfig) => {
+  switch (imageConfig.storage) {
+    case 'local':
+      return new LocalImageStorage(imageConfig);
+    case 'supabase':
+      return new SupabaseImageStorage(imageConfig);
+    default:
+      throw new Error(`Unknown image storage: ${imageConfig.storage}. Use local or supabase.`);
+  }
+};
+
+module.exports = {
+  createImageProvider,
+  createImageStorage,
+  LocalImageStorage,
+  SupabaseImageStorage,
+};
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { startOfZonedDay, toDateTimeLocal, zonedTimeToUtc } = require('../utils/time');
+
+// Stand-in for the accounts stored in Supabase
+const accounts = {};
+require.cache[path.join(__dirname, '..', 'services/AccountService.js')] = {
+  exports: {
+    resolveId: (accountId) => accountId || 'default',
+    getAccount: async (accountId) => accounts[accountId || 'default'],
+  },
+};
+
+const blackoutService = require('../services/BlackoutService');
+
+const windows = {
+  timezone: 'Europe/Berlin',
+  quietHours: [{ label: '22:00-07:00', start: 22 * 60, end: 7 * 60 }],
+  blackouts: [{ start: '2026-06-11', end: '2026-06-11', reason: 'Launch day' }],
+};
+
+test('quiet hours that wrap past midnight end on the right day', () => {
+  const evening = blackoutService.findBlock(windows, new Date('2026-06-09T21:30:00Z'));
+  assert.strictEqual(evening.kind, 'quiet_hours');
+  assert.strictEqual(evening.until.toISOString(), '2026-06-10T05:00:00.000Z');
+
+  const morning = blackoutService.findBlock(windows, new Date('2026-06-10T03:00:00Z'));
+  assert.strictEqual(morning.until.toISOString(), '2026-06-10T05:00:00.000Z');
+
+  assert.strictEqual(blackoutService.findBlock(windows, new Date('2026-06-10T10:00:00Z')), null);
+});
+
+test('blackouts cover whole days in the account timezone', () => {
+  // 00:30 in Berlin on the blackout day, still the 10th in UTC
+  const block = blackoutService.findBlock({ ...windows, quietHours: [] }, new Date('2026-06-10T22:30:00Z'));
+
+  assert.strictEqual(block.kind, 'blackout');
+  assert.strictEqual(block.reason, 'Blackout: Launch day');
+  assert.strictEqual(block.until.toISOString(), '2026-06-11T22:00:00.000Z');
+});
+
+test('a block runs on through the windows it leads into', () => {
+  // Quiet hours end on the blackout day, which ends inside the next night's quiet hours
+  const block = blackoutService.resolveBlock(windows, new Date('2026-06-10T21:30:00Z'));
+
+  assert.strictEqual(block.kind, 'quiet_hours');
+  assert.strictEqual(block.until.toISOString(), '2026-06-12T05:00:00.000Z');
+});
+
+test('invalid and empty quiet hours are ignored', async () => {
+  accounts.default = {
+    timezone: 'Europe/Berlin',
+    quietHours: ['22:00-07:00', 'late', '09:00-09:00'],
+    blackoutDates: [{ start: '2026-06-11' }],
+  };
+
+  const { quietHours, blackouts } = await blackoutService.getWindows(null);
+
+  assert.deepStrictEqual(quietHours.map(range => range.label), ['22:00-07:00']);
+  assert.deepStrictEqual(blackouts, [{ start: '2026-06-11', end: '2026-06-11', reason: null }]);
+});
+
+test('runs inside a blackout are listed with what their policy does to them', async () => {
+  const timezone = 'Europe/Berlin';
+  const tomorrow = toDateTimeLocal(startOfZonedDay(new Date(), timezone, 1), timezone).slice(0, 10);
+  accounts.default = { timezone, blackoutDates: [{ start: tomorrow, reason: 'Offsite' }] };
+
+  const affected = await blackoutService.getAffectedRuns([
+    { id: 'once', schedule_type: 'once', status: 'scheduled', scheduled_for: zonedTimeToUtc(`${tomorrow}T12:00`, timezone).toISOString(), text: 'hello', blackout_policy: 'defer' },
+    { id: 'daily', schedule_type: 'daily', status: 'scheduled', cron_time: '0 9 * * *', timezone, blackout_policy: 'skip' },
+    { id: 'paused', schedule_type: 'daily', status: 'paused', cron_time: '0 10 * * *', timezone },
+  ]);
+
+  assert.deepStrictEqual(affected.map(run => [run.scheduleId, run.policy]), [['daily', 'skip'], ['once', 'defer']]);
+  assert.strictEqual(affected[0].movedTo, null);
+  assert.strictEqual(affected[1].movedTo, startOfZonedDay(zonedTimeToUtc(`${tomorrow}T12:00`, timezone), timezone, 1).toISOString());
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+mock('services/DatabaseService.js', {});
+mock('services/AccountService.js', {
+  resolveId: (accountId) => accountId || 'default',
+  quotaLimitsFor: (account) => ({ day: account.dailyTweetLimit }),
+});
+
+const calendarService = require('../services/CalendarService');
+
+test('a week runs Monday to Sunday from midnight in the timezone', () => {
+  const range = calendarService.resolveRange({ view: 'week', date: '2026-10-14', timezone: 'Europe/Berlin' });
+
+  assert.deepStrictEqual(range.days.map(day => day.date), [
+    '2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18',
+  ]);
+  assert.strictEqual(range.start.toISOString(), '2026-10-11T22:00:00.000Z');
+  assert.strictEqual(range.end.toISOString(), '2026-10-18T22:00:00.000Z');
+  assert.deepStrictEqual([range.prev, range.next], ['2026-10-07', '2026-10-21']);
+});
+
+test('a month covers the full weeks around it and ends after the clocks change', () => {
+  const range = calendarService.resolveRange({ view: 'month', date: '2026-03-18', timezone: 'Europe/Berlin' });
+
+  assert.strictEqual(range.days[0].date, '2026-02-23');
+  assert.strictEqual(range.days.at(-1).date, '2026-04-05');
+  assert.strictEqual(range.days.length, 6 * 7);
+  assert.strictEqual(range.days.filter(day => day.inRange).length, 31);
+  assert.strictEqual(range.start.toISOString(), '2026-02-22T23:00:00.000Z');
+  assert.strictEqual(range.end.toISOString(), '2026-04-05T22:00:00.000Z');
+  assert.deepStrictEqual([range.prev, range.next], ['2026-02-01', '2026-04-01']);
+});
+
+test('runs of one schedule on a day share an entry and count every thread segment', () => {
+  const from = new Date('2099-06-01T00:00:00Z');
+  const to = new Date('2099-06-03T00:00:00Z');
+  const { entries } = calendarService.expandSchedules([
+    { id: 'thread', schedule_type: 'custom', status: 'scheduled', cron_time: '0 9,18 * * *', timezone: 'UTC', thread_segments: [{ text: 'a' }, { text: 'b' }] },
+    { id: 'once', schedule_type: 'once', status: 'scheduled', scheduled_for: '2099-06-02T12:00:00Z', text: 'hello' },
+    { id: 'paused', schedule_type: 'daily', status: 'paused', cron_time: '0 7 * * *' },
+  ], from, to, 'UTC');
+
+  const byDay = entries.map(entry => [entry.scheduleId, entry.date, entry.times, entry.posts]);
+  assert.deepStrictEqual(byDay, [
+    ['thread', '2099-06-01', ['09:00', '18:00'], 4],
+    ['thread', '2099-06-02', ['09:00', '18:00'], 4],
+    ['once', '2099-06-02', ['12:00'], 1],
+  ]);
+});
+
+test('days whose posts go over an account\'s daily limit are flagged', () => {
+  const days = [
+    { date: '2099-06-01', entries: [{ accountId: 'default', posts: 4 }] },
+    { date: '2099-06-02', entries: [{ accountId: 'default', posts: 4 }, { accountId: 'default', posts: 1 }] },
+  ];
+
+  calendarService.flagQuota(days, [{ id: 'default', isDefault: true, name: 'Main', dailyTweetLimit: 4 }]);
+
+  assert.deepStrictEqual(days[0].overQuota, []);
+  assert.deepStrictEqual(days[1].overQuota, [{ accountId: 'default', name: 'Main', posts: 5, limit: 4 }]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase and Redis
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+const state = {};
+const reset = (drafts) => Object.assign(state, { drafts, scheduleUpdates: [], jobs: [] });
+
+mock('services/DatabaseService.js', {
+  // Only drafts still in the expected status are updated, as the conditional update does
+  updateDraft: async (id, updates, expectedStatus) => {
+    const draft = state.drafts[id];
+    if (!draft || (expectedStatus && draft.status !== expectedStatus)) return null;
+    return Object.assign(draft, updates);
+  },
+  updateScheduledTweet: async (id, updates) => state.scheduleUpdates.push({ id, ...updates }),
+});
+mock('services/QueueService.js', {
+  addDraftPublishJob: async (id) => state.jobs.push(['publish', id]),
+  removeDraftExpiryJob: async (id) => state.jobs.push(['remove-expiry', id]),
+});
+
+const config = require('../config');
+const draftService = require('../services/DraftService');
+
+const pendingDraft = (overrides = {}) => ({
+  id: 'draft-1',
+  schedule_id: 'once-1',
+  schedule_type: 'once',
+  status: 'pending',
+  text: 'generated',
+  generated_text: 'generated',
+  ...overrides,
+});
+
+test('a draft left unreviewed expires and closes its one-off', async () => {
+  config.review.expiryBehavior = 'expire';
+  reset({ 'draft-1': pendingDraft() });
+
+  const draft = await draftService.expireDraft('draft-1');
+
+  assert.strictEqual(draft.status, 'expired');
+  assert.deepStrictEqual(state.scheduleUpdates, [{ id: 'once-1', status: 'expired' }]);
+  assert.deepStrictEqual(state.jobs, []);
+});
+
+test('with expiry set to post, an unreviewed draft is approved by its deadline and queued', async () => {
+  config.review.expiryBehavior = 'post';
+  try {
+    reset({ 'draft-1': pendingDraft({ schedule_type: 'daily' }) });
+
+    const draft = await draftService.expireDraft('draft-1');
+
+    assert.strictEqual(draft.status, 'approved');
+    assert.strictEqual(draft.reviewed_by, 'review deadline');
+    assert.deepStrictEqual(state.jobs, [['publish', 'draft-1']]);
+  } finally {
+    config.review.expiryBehavior = 'expire';
+  }
+});
+
+test('a draft reviewed before its deadline is left alone by the expiry job', async () => {
+  reset({ 'draft-1': pendingDraft({ status: 'approved' }) });
+
+  assert.strictEqual(await draftService.expireDraft('draft-1'), null);
+  assert.strictEqual(state.drafts['draft-1'].status, 'approved');
+  assert.deepStrictEqual(state.scheduleUpdates, []);
+});
+
+test('an approved draft keeps the reviewer\'s edit and replaces its expiry with a publish job', async () => {
+  reset({ 'draft-1': pendingDraft() });
+
+  const draft = await draftService.approveDraft('draft-1', { text: 'edited', reviewer: 'alice' });
+
+  assert.strictEqual(draft.text, 'edited');
+  assert.strictEqual(draft.generated_text, 'generated');
+  assert.deepStrictEqual(state.jobs, [['remove-expiry', 'draft-1'], ['publish', 'draft-1']]);
+  await assert.rejects(draftService.approveDraft('draft-1'), /already reviewed/);
+});
+
+test('a rejected draft of a recurring schedule leaves the schedule running', async () => {
+  reset({ 'draft-1': pendingDraft({ schedule_type: 'daily' }) });
+
+  await draftService.rejectDraft('draft-1', { reason: 'off brand' });
+
+  assert.strictEqual(state.drafts['draft-1'].error_message, 'off brand');
+  assert.deepStrictEqual(state.scheduleUpdates, []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase and Redis
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+const rows = [];
+const jobs = [];
+
+mock('services/DatabaseService.js', {
+  createImportBatch: async (batch) => ({ id: 'batch-1', ...batch }),
+  updateImportBatch: async (id, updates) => ({ id, ...updates }),
+  createScheduledTweet: async (data) => {
+    const row = { id: `row-${rows.length + 1}`, ...data };
+    rows.push(row);
+    return row;
+  },
+  updateScheduledTweet: async (id, updates) => Object.assign(rows.find(row => row.id === id), updates),
+});
+mock('services/QueueService.js', {
+  addOneOffTweetJob: async (data) => {
+    jobs.push(data);
+    return { id: jobs.length };
+  },
+});
+mock('services/AccountService.js', { getTimezone: async () => 'UTC' });
+const slotting = { plans: [], reslots: 0 };
+mock('services/SlottingService.js', {
+  nextSlots: async (accountId, count) => {
+    slotting.plans.push(count);
+    return Array.from({ length: count }, (_, index) => new Date(Date.UTC(2099, 0, 1, index)));
+  },
+  toQueued: (scheduleData, slot) => ({ ...scheduleData, schedule_type: 'once', scheduled_for: slot.toISOString(), auto_slot: true }),
+  reslot: async () => {
+    slotting.reslots++;
+    return [];
+  },
+});
+mock('services/ImageService.js', {});
+
+const importService = require('../services/ImportService');
+
+test('an imported row with an image URL passes the URL to its queue job', async () => {
+  const { schedules } = await importService.importRows({
+    content: 'text,image,datetime\nLaunch day!,https://example.com/launch.png,2099-01-01T10:00',
+  });
+
+  assert.strictEqual(schedules.length, 1);
+  assert.strictEqual(schedules[0].image_url, 'https://example.com/launch.png');
+  assert.strictEqual(jobs.length, 1);
+  assert.strictEqual(jobs[0].image_url, 'https://example.com/launch.png');
+  assert.strictEqual(jobs[0].include_image, true);
+});
+
+test('queued rows share one slot plan and the queue is re-slotted once', async () => {
+  slotting.plans.length = 0;
+  slotting.reslots = 0;
+  jobs.length = 0;
+
+  const { schedules } = await importService.importRows({ content: 'text\nfirst\nsecond\nthird' });
+
+  assert.deepStrictEqual(slotting.plans, [3]);
+  assert.strictEqual(slotting.reslots, 1);
+  assert.deepStrictEqual(schedules.map(schedule => schedule.scheduled_for), [
+    '2099-01-01T00:00:00.000Z',
+    '2099-01-01T01:00:00.000Z',
+    '2099-01-01T02:00:00.000Z',
+  ]);
+  assert.ok(schedules.every(schedule => schedule.auto_slot && schedule.batch_id === 'batch-1'));
+  assert.strictEqual(jobs.length, 3);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-in for the Redis client, with the commands QuotaService uses. The reserve and commit
+// scripts are played back in JavaScript, step for step.
+const hashes = new Map();
+const sets = new Map();
+const set = (key) => sets.get(key) || sets.set(key, new Map()).get(key);
+const bound = (value) => (value === '+inf' ? Infinity : value === '-inf' ? -Infinity : Number(value));
+const between = (key, min, max) => [...set(key)]
+  .filter(([, score]) => score >= bound(min) && score <= bound(max))
+  .sort((a, b) => a[1] - b[1]);
+const trim = (key, max) => between(key, '-inf', max).forEach(([member]) => set(key).delete(member));
+
+const redis = {
+  hGetAll: async (key) => ({ ...(hashes.get(key) || {}) }),
+  hSet: async (key, values) => hashes.set(key, { ...(hashes.get(key) || {}), ...values }),
+  expire: async () => true,
+  zCount: async (key, min, max) => between(key, min, max).length,
+  zRem: async (key, member) => set(key).delete(member),
+  zRangeWithScores: async (key, min, max, { LIMIT }) => between(key, min, max)
+    .slice(LIMIT.offset, LIMIT.offset + LIMIT.count)
+    .map(([value, score]) => ({ value, score })),
+  eval: async (script, { keys: [posts, reservations], arguments: args }) => {
+    if (!script.includes('ZCOUNT')) {
+      const [id, postedAt] = args;
+      set(reservations).delete(id);
+      set(posts).set(id, Number(postedAt));
+      return set(posts).size;
+    }
+
+    const [now, id, expiresAt, , trimBefore, ...windows] = args;
+    trim(posts, Number(trimBefore) - 1);
+    trim(reservations, now);
+    const reserved = set(reservations).size;
+    for (let i = 0; i < windows.length; i += 2) {
+      if (between(posts, windows[i], '+inf').length + reserved >= Number(windows[i + 1])) return i / 2 + 1;
+    }
+    set(reservations).set(id, Number(expiresAt));
+    return 0;
+  },
+};
+require.cache[path.join(__dirname, '..', 'services/QueueService.js')] = { exports: { redisClient: redis } };
+
+const quotaService = require('../services/QuotaService');
+
+const stored = async (accountId) => Object.fromEntries(Object.entries(await redis.hGetAll(quotaService.serverLimitsKey(accountId)))
+  .map(([limitType, value]) => [limitType, JSON.parse(value).remaining]));
+
+test('reported limits only replace stored ones they supersede', async () => {
+  hashes.clear();
+  await quotaService.recordServerLimits(null, [
+    { limitType: 'tweets', limit: 100, remaining: 5, reset: 2000 },
+    { limitType: 'tweets:user_24h', limit: 17, remaining: 3, reset: 5000 },
+  ]);
+
+  // Responses that overtook this one: more remaining in the same window, or an earlier window
+  await quotaService.recordServerLimits(null, [
+    { limitType: 'tweets', limit: 100, remaining: 6, reset: 2000 },
+    { limitType: 'tweets:user_24h', limit: 17, remaining: 16, reset: 4000 },
+  ]);
+  assert.deepStrictEqual(await stored(null), { tweets: 5, 'tweets:user_24h': 3 });
+
+  await quotaService.recordServerLimits(null, [
+    { limitType: 'tweets', limit: 100, remaining: 4, reset: 2000 },
+    { limitType: 'tweets:user_24h', limit: 17, remaining: 17, reset: 9000 },
+  ]);
+  assert.deepStrictEqual(await stored(null), { tweets: 4, 'tweets:user_24h': 17 });
+});
+
+test('reservations hold quota until they are committed or released', async () => {
+  sets.clear();
+  hashes.clear();
+  const limits = { fifteenMinutes: 2, day: 3 };
+
+  const first = await quotaService.reserve('account-1', limits);
+  const second = await quotaService.reserve('account-1', limits);
+  assert.ok(first.reservation && second.reservation);
+  // Both held, neither posted yet: the 15-minute window is full
+  assert.deepStrictEqual(await quotaService.reserve('account-1', limits), { blockedBy: 'fifteenMinutes' });
+
+  await quotaService.release(second.reservation);
+  await quotaService.commit(first.reservation);
+
+  const usage = await quotaService.getUsage('account-1', limits);
+  assert.strictEqual(usage.windows.day.used, 1);
+  assert.strictEqual(usage.windows.day.reserved, 0);
+  assert.strictEqual(usage.remaining, 1);
+});
+
+test('the first full window is named when a reservation is refused', async () => {
+  sets.clear();
+  hashes.clear();
+  const limits = { fifteenMinutes: 2, day: 3 };
+  // Posted within the last day but outside the last 15 minutes
+  const earlier = Date.now() - 20 * 60 * 1000;
+  set(quotaService.postsKey(null)).set('a', earlier).set('b', earlier).set('c', earlier);
+
+  quotaService.mode = 'rolling';
+  try {
+    assert.deepStrictEqual(await quotaService.reserve(null, limits), { blockedBy: 'day' });
+    // Other accounts keep their own count
+    assert.ok((await quotaService.reserve('account-2', limits)).reservation);
+  } finally {
+    quotaService.mode = 'calendar';
+  }
+});
+
+test('calendar windows follow midnight and the first of the month in the reset timezone', () => {
+  quotaService.timezone = 'America/New_York';
+  try {
+    // The day clocks go forward: it starts at EST and ends at EDT
+    const at = new Date('2026-03-08T12:00:00Z');
+    assert.strictEqual(quotaService.windowStart('day', at).toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.strictEqual(quotaService.windowEnd('day', at).toISOString(), '2026-03-09T04:00:00.000Z');
+    assert.strictEqual(quotaService.windowStart('month', at).toISOString(), '2026-03-01T05:00:00.000Z');
+    assert.strictEqual(quotaService.windowEnd('month', at).toISOString(), '2026-04-01T04:00:00.000Z');
+    assert.strictEqual(quotaService.windowStart('fifteenMinutes', at).toISOString(), '2026-03-08T11:45:00.000Z');
+  } finally {
+    quotaService.timezone = 'UTC';
+  }
+});
+
+test('a full rolling window frees up when its oldest post ages out', async () => {
+  sets.clear();
+  hashes.clear();
+  const oldest = Date.now() - 10 * 60 * 1000;
+  set(quotaService.postsKey(null)).set('a', oldest).set('b', Date.now() - 5 * 60 * 1000);
+
+  const usage = await quotaService.getUsage(null, { fifteenMinutes: 2, day: 10 });
+
+  assert.deepStrictEqual(usage.blockedBy, ['fifteenMinutes']);
+  assert.strictEqual(usage.remaining, 0);
+  assert.strictEqual(usage.reset.getTime(), oldest + 15 * 60 * 1000);
+});
+
+test('more posts than a window ever holds only wait for it to be empty', async () => {
+  sets.clear();
+  hashes.clear();
+  const limits = { fifteenMinutes: 2, day: 10 };
+
+  assert.strictEqual(await quotaService.canPost(null, limits, 3), true);
+  set(quotaService.postsKey(null)).set('a', Date.now() - 60 * 1000);
+  assert.strictEqual(await quotaService.canPost(null, limits, 3), false);
+  assert.strictEqual(await quotaService.canPost(null, limits, 1), true);
+});
+
+test('limits reported by the X API count the posts made since they were reported', async () => {
+  sets.clear();
+  hashes.clear();
+  const recordedAt = Date.now() - 60 * 1000;
+  await redis.hSet(quotaService.serverLimitsKey(null), {
+    tweets: JSON.stringify({ limit: 50, remaining: 1, reset: Date.now() + 60 * 60 * 1000, recordedAt }),
+  });
+  set(quotaService.postsKey(null)).set('a', recordedAt + 1000);
+
+  const usage = await quotaService.getUsage(null, { fifteenMinutes: 10 });
+
+  assert.strictEqual(usage.windows['x:tweets'].remaining, 0);
+  assert.strictEqual(usage.windows['x:tweets'].source, 'x-api');
+  assert.deepStrictEqual(usage.blockedBy, ['x:tweets']);
+  assert.strictEqual(usage.windows.fifteenMinutes.remaining, 9);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase and Redis
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+const queue = { planned: [], removedRuns: [], removedRepeats: [] };
+mock('services/DatabaseService.js', {});
+mock('services/ImageService.js', {});
+mock('services/QueueService.js', {
+  addScheduledTweetJob: async () => ({ opts: { repeat: { key: 'repeat-key' } } }),
+  addJitteredRunJob: async (scheduleData, plannedAt, runAt) => {
+    queue.planned.push({ scheduleData, plannedAt, runAt });
+    return { id: `jitter:${scheduleData.id}:${plannedAt.getTime()}` };
+  },
+  removeRepeatableJob: async (key) => queue.removedRepeats.push(key),
+  removeJitteredRunJobs: async (id) => queue.removedRuns.push(id),
+});
+
+const scheduleService = require('../services/ScheduleService');
+
+const MINUTE = 60 * 1000;
+const hourly = {
+  id: 'schedule-1',
+  schedule_type: 'hourly',
+  cron_time: '0 * * * *',
+  timezone: 'UTC',
+  jitter_minutes: 180,
+  status: 'scheduled',
+};
+
+const planWith = async (random, schedule = hourly) => {
+  const original = Math.random;
+  Math.random = () => random;
+  try {
+    queue.planned.length = 0;
+    await scheduleService.planJitteredRun(scheduleService.toJobData(schedule));
+    return queue.planned[0];
+  } finally {
+    Math.random = original;
+  }
+};
+
+test('the job carries the cron and the one-off time the worker reads', () => {
+  const data = scheduleService.toJobData({ ...hourly, scheduled_for: '2099-01-01T10:00:00.000Z' });
+
+  assert.strictEqual(data.cron_time, '0 * * * *');
+  assert.strictEqual(data.scheduled_for, '2099-01-01T10:00:00.000Z');
+});
+
+test('a jittered run moves either way but stays short of halfway to its neighbours', async () => {
+  const earliest = await planWith(0);
+  const latest = await planWith(0.999999);
+
+  // 180 minutes asked for, but runs are an hour apart: half of that, less half the gap
+  assert.strictEqual(earliest.plannedAt.getTime() - earliest.runAt.getTime(), 29.5 * MINUTE);
+  assert.ok(latest.runAt.getTime() - latest.plannedAt.getTime() > 29 * MINUTE);
+  assert.ok(latest.runAt.getTime() - latest.plannedAt.getTime() <= 29.5 * MINUTE);
+  assert.strictEqual(latest.plannedAt.getUTCMinutes(), 0);
+});
+
+test('a run whose window is already open is not planned again', async () => {
+  const planned = await planWith(0);
+  const now = Date.now();
+
+  assert.ok(planned.runAt.getTime() >= now - 1000);
+  assert.ok(planned.plannedAt.getTime() - 29.5 * MINUTE >= now - 1000);
+});
+
+test('short jitter windows are kept as asked', async () => {
+  const daily = { ...hourly, schedule_type: 'daily', cron_time: '0 9 * * *', timezone: 'Europe/Berlin', jitter_minutes: 20 };
+  const earliest = await planWith(0, daily);
+  const latest = await planWith(0.999999, daily);
+
+  assert.strictEqual(earliest.plannedAt.getTime() - earliest.runAt.getTime(), 20 * MINUTE);
+  assert.ok(latest.runAt.getTime() - latest.plannedAt.getTime() <= 20 * MINUTE);
+});
+
+test('registering a jittered schedule plans its first run; unregistering removes it', async () => {
+  queue.planned.length = 0;
+  const key = await scheduleService.register(hourly);
+  assert.strictEqual(key, 'repeat-key');
+  assert.strictEqual(queue.planned.length, 1);
+
+  await scheduleService.unregister({ ...hourly, job_key: key });
+  assert.deepStrictEqual(queue.removedRepeats, ['repeat-key']);
+  assert.deepStrictEqual(queue.removedRuns, ['schedule-1']);
+});
+
+test('schedules without jitter plan nothing ahead', async () => {
+  queue.planned.length = 0;
+  await scheduleService.register({ ...hourly, jitter_minutes: 0 });
+  assert.strictEqual(queue.planned.length, 0);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase, Redis and the X API
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+const state = { schedules: [], queued: [], updates: [] };
+mock('services/QueueService.js', {});
+mock('services/ScheduleService.js', {
+  updateSchedule: async (id, updates) => state.updates.push({ id, ...updates }),
+});
+mock('services/TwitterService.js', {});
+mock('services/DatabaseService.js', {
+  getScheduledTweets: async () => state.schedules,
+  getQueuedTweets: async () => state.queued,
+});
+mock('services/AccountService.js', {
+  resolveId: (accountId) => accountId || 'default',
+  getTimezone: async () => 'UTC',
+  getQuotaLimits: async () => ({ day: 2 }),
+});
+
+const config = require('../config');
+const quotaService = require('../services/QuotaService');
+const slottingService = require('../services/SlottingService');
+
+config.scheduling.postingSlots = ['09:00', '12:00', '15:00'];
+config.scheduling.postingSlotsTimezone = null;
+quotaService.getUsage = async () => ({
+  windows: { day: { limit: 2, used: 0, reserved: 0, remaining: 2 } },
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const daysAhead = (days) => dayOf(new Date(Date.now() + days * DAY_MS));
+const perDay = (slots) => slots.reduce((counts, slot) => ({ ...counts, [dayOf(slot)]: (counts[dayOf(slot)] || 0) + 1 }), {});
+
+test('without other schedules every day takes as many queued posts as the daily limit', async () => {
+  state.schedules = [];
+
+  const slots = await slottingService.planSlots(null, 4);
+
+  assert.ok(Object.values(perDay(slots)).every(count => count <= 2));
+  assert.ok(Object.values(perDay(slots)).some(count => count === 2));
+});
+
+test('posts of the account\'s other schedules count against the days they fall on', async () => {
+  state.schedules = [
+    { id: 'daily', schedule_type: 'daily', cron_time: '0 10 * * *', timezone: 'UTC', status: 'scheduled' },
+    // Two posts on the day after tomorrow fill it on their own
+    {
+      id: 'thread',
+      schedule_type: 'once',
+      scheduled_for: `${daysAhead(2)}T18:00:00.000Z`,
+      status: 'scheduled',
+      thread_segments: [{ text: 'first' }, { text: 'second' }],
+    },
+  ];
+
+  const slots = await slottingService.planSlots(null, 3);
+
+  assert.ok(Object.values(perDay(slots)).every(count => count === 1));
+  assert.ok(!slots.some(slot => dayOf(slot) === daysAhead(2)));
+});
+
+test('queued, inactive and other accounts\' schedules are not counted again', async () => {
+  state.schedules = [
+    { id: 'queued', schedule_type: 'once', scheduled_for: `${daysAhead(1)}T09:00:00.000Z`, status: 'scheduled', auto_slot: true },
+    { id: 'paused', schedule_type: 'daily', cron_time: '0 10 * * *', status: 'paused' },
+    { id: 'sent', schedule_type: 'once', scheduled_for: `${daysAhead(1)}T10:00:00.000Z`, status: 'sent' },
+    { id: 'other', schedule_type: 'daily', cron_time: '0 10 * * *', status: 'scheduled', account_id: 'account-2' },
+  ];
+
+  assert.deepStrictEqual(await slottingService.getScheduledPosts(null, new Date(Date.now() + 7 * DAY_MS)), []);
+});
+
+test('a rolling window counts the posts planned in the stretch that ends at the slot', () => {
+  const now = new Date('2026-06-10T08:00:00Z');
+  const usage = { windows: { fifteenMinutes: { limit: 1, used: 0, reserved: 0 } } };
+  const planned = [new Date('2026-06-10T09:00:00Z').getTime()];
+
+  assert.strictEqual(slottingService.hasRoom(usage, planned, new Date('2026-06-10T09:10:00Z'), now), false);
+  assert.strictEqual(slottingService.hasRoom(usage, planned, new Date('2026-06-10T09:15:00Z'), now), true);
+  // Posts already made only count while the window reaches back before now
+  usage.windows.fifteenMinutes.used = 1;
+  assert.strictEqual(slottingService.hasRoom(usage, [], new Date('2026-06-10T08:10:00Z'), now), false);
+  assert.strictEqual(slottingService.hasRoom(usage, [], new Date('2026-06-10T08:20:00Z'), now), true);
+});
+
+test('a limit reported by the X API holds every planned post until it resets', () => {
+  const now = new Date('2026-06-10T08:00:00Z');
+  const usage = { windows: { 'x:tweets': { limit: 50, remaining: 1, reset: new Date('2026-06-10T12:00:00Z'), source: 'x-api' } } };
+  const planned = [new Date('2026-06-10T09:00:00Z').getTime()];
+
+  assert.strictEqual(slottingService.hasRoom(usage, planned, new Date('2026-06-10T11:00:00Z'), now), false);
+  assert.strictEqual(slottingService.hasRoom(usage, planned, new Date('2026-06-10T12:00:00Z'), now), true);
+});
+
+test('re-slotting keeps the queue in order and moves only posts off their slot', async () => {
+  state.schedules = [];
+  state.updates = [];
+  // Due within the next minute: keeps its time, and its day's quota
+  const due = new Date(Date.now() + 1000);
+  const [first, second] = await slottingService.planSlots(null, 2, { pending: [due] });
+  state.queued = [
+    { id: 'a', scheduled_for: first.toISOString() },
+    { id: 'b', scheduled_for: new Date(second.getTime() + 30 * DAY_MS).toISOString() },
+    { id: 'c', scheduled_for: due.toISOString() },
+  ];
+
+  const moved = await slottingService.reslot(null);
+
+  assert.deepStrictEqual(moved.map(post => post.id), ['b']);
+  assert.deepStrictEqual(state.updates, [{ id: 'b', scheduled_for: second.toISOString() }]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase and Redis
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+mock('services/AccountService.js', { resolveId: (id) => id || 'default', defaultAccountId: 'default' });
+mock('services/DatabaseService.js', {});
+mock('services/QueueService.js', {});
+
+const twitterService = require('../services/TwitterService');
+
+// What the client plugin sees after a post; reset is in Unix seconds, as the API sends it
+const respond = (plugin, remaining, reset) => plugin.onAfterRequest({
+  url: new URL('https://api.twitter.com/2/tweets'),
+  params: { method: 'post' },
+  response: { rateLimit: { limit: 100, remaining, reset }, headers: {} },
+});
+
+test('an older response finishing last does not overwrite newer rate limits', () => {
+  twitterService.reportedRateLimits.clear();
+  const plugin = twitterService.rateLimitPlugin(null);
+
+  respond(plugin, 5, 1000);
+  // Sent before the one above, so more was left in the same window
+  respond(plugin, 7, 1000);
+  // From the window before
+  respond(plugin, 9, 900);
+
+  assert.deepStrictEqual(twitterService.reportedRateLimits.get('default:tweets'), [
+    { limitType: 'tweets', limit: 100, remaining: 5, reset: 1000 * 1000 },
+  ]);
+});
+
+test('a response from a later window replaces the snapshot', () => {
+  twitterService.reportedRateLimits.clear();
+  const plugin = twitterService.rateLimitPlugin(null);
+
+  respond(plugin, 1, 1000);
+  respond(plugin, 99, 1900);
+
+  assert.strictEqual(twitterService.reportedRateLimits.get('default:tweets')[0].remaining, 99);
+});
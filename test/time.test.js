@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  zonedTimeToUtc,
+  toDateTimeLocal,
+  startOfZonedDay,
+  getNextCronRuns,
+  isActiveSchedule,
+  getNextScheduleRun,
+  getCronError,
+  getScheduleCron,
+  getCronRunsPerDay,
+} = require('../utils/time');
+
+test('wall-clock times are read in the timezone, summer and winter', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-01-15T09:00', 'Europe/Berlin').toISOString(), '2026-01-15T08:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00', 'Europe/Berlin').toISOString(), '2026-07-15T07:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00', 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  // An explicit offset wins over the timezone
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00+05:30', 'Europe/Berlin').toISOString(), '2026-07-15T03:30:00.000Z');
+});
+
+test('times right after a DST change land on the new offset', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-03-29T03:00', 'Europe/Berlin').toISOString(), '2026-03-29T01:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-10-25T04:00', 'Europe/Berlin').toISOString(), '2026-10-25T03:00:00.000Z');
+  assert.strictEqual(toDateTimeLocal(new Date('2026-03-29T01:00:00Z'), 'Europe/Berlin'), '2026-03-29T03:00');
+});
+
+test('days start at local midnight, however long they are', () => {
+  const springForward = new Date('2026-03-29T12:00:00Z');
+
+  assert.strictEqual(startOfZonedDay(springForward, 'Europe/Berlin').toISOString(), '2026-03-28T23:00:00.000Z');
+  assert.strictEqual(startOfZonedDay(springForward, 'Europe/Berlin', 1).toISOString(), '2026-03-29T22:00:00.000Z');
+  // Late evening in New York is already the next day in UTC
+  assert.strictEqual(startOfZonedDay(new Date('2026-07-16T02:00:00Z'), 'America/New_York').toISOString(), '2026-07-15T04:00:00.000Z');
+});
+
+test('cron runs keep their local time across a DST change', () => {
+  const runs = getNextCronRuns('0 9 * * *', 'Europe/Berlin', 3, new Date('2026-03-27T12:00:00Z'));
+
+  assert.deepStrictEqual(runs.map(run => run.toISOString()), [
+    '2026-03-28T08:00:00.000Z',
+    '2026-03-29T07:00:00.000Z',
+    '2026-03-30T07:00:00.000Z',
+  ]);
+});
+
+test('recurring schedules stay active after they ran; one-offs only until then', () => {
+  assert.strictEqual(isActiveSchedule({ schedule_type: 'daily', status: 'sent' }), true);
+  assert.strictEqual(isActiveSchedule({ schedule_type: 'daily', status: 'paused' }), false);
+  assert.strictEqual(isActiveSchedule({ schedule_type: 'once', status: 'scheduled' }), true);
+  assert.strictEqual(isActiveSchedule({ schedule_type: 'once', status: 'sent' }), false);
+});
+
+test('the next run is shown in the schedule timezone and in UTC', () => {
+  const once = getNextScheduleRun({
+    schedule_type: 'once',
+    status: 'scheduled',
+    scheduled_for: '2099-07-15T07:00:00.000Z',
+    timezone: 'Europe/Berlin',
+  });
+  assert.strictEqual(once.at, '2099-07-15T07:00:00.000Z');
+  assert.strictEqual(once.timezone, 'Europe/Berlin');
+  assert.match(once.local, /09:00/);
+  assert.match(once.utc, /07:00/);
+
+  const daily = getNextScheduleRun({ schedule_type: 'daily', status: 'sent', cron_time: '0 9 * * *' }, 'Europe/Berlin');
+  assert.strictEqual(daily.timezone, 'Europe/Berlin');
+  assert.ok(new Date(daily.at) > new Date());
+
+  assert.strictEqual(getNextScheduleRun({ schedule_type: 'daily', status: 'paused', cron_time: '0 9 * * *' }), null);
+  assert.strictEqual(getNextScheduleRun({ schedule_type: 'custom', status: 'scheduled', cron_time: 'not a cron' }), null);
+});
+
+test('cron expressions need five fields cron-parser accepts', () => {
+  assert.strictEqual(getCronError('*/15 9-17 * * mon-fri'), null);
+  assert.strictEqual(getCronError('0 12 1 jan,jul *'), null);
+  assert.strictEqual(getCronError('0 12 * *'), 'Must have 5 parts: minute hour day month weekday');
+  assert.strictEqual(getCronError('0 0 12 * * *'), 'Must have 5 parts: minute hour day month weekday');
+  assert.strictEqual(getCronError(undefined), 'Must have 5 parts: minute hour day month weekday');
+  assert.match(getCronError('61 * * * *'), /.+/);
+});
+
+test('schedule types map to the cron the form would set up', () => {
+  assert.strictEqual(getScheduleCron('hourly'), '0 * * * *');
+  assert.strictEqual(getScheduleCron('daily', { time: '09:30' }), '30 09 * * *');
+  assert.strictEqual(getScheduleCron('weekly', { time: '18:05' }), '05 18 * * 0');
+  assert.strictEqual(getScheduleCron('custom', { customCron: '0 */2 * * *' }), '0 */2 * * *');
+  assert.throws(() => getScheduleCron('queue'), /Invalid schedule type/);
+});
+
+test('runs a day are counted from the cron fields', () => {
+  assert.strictEqual(getCronRunsPerDay('*/1 * * * *'), 1440);
+  assert.strictEqual(getCronRunsPerDay('*/15 9-17 * * mon-fri'), 36);
+  assert.strictEqual(getCronRunsPerDay('30 9 * * *'), 1);
+});
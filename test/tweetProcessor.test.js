@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Stand-ins for the services that talk to Supabase, Redis and the X API
+const mock = (file, exports) => {
+  require.cache[path.join(__dirname, '..', file)] = { exports };
+};
+
+const state = {};
+const reset = () => Object.assign(state, {
+  posts: [],
+  history: [],
+  updates: [],
+  deferred: [],
+  quotaChecks: [],
+  loadedAssets: [],
+  draftUpdates: [],
+  removedRepeats: [],
+  // Rows by ID; the rest are one-offs still scheduled
+  schedules: {},
+  drafts: {},
+  // Segment positions (0-based) whose post is refused, and how
+  refuse: {},
+  remaining: 10,
+});
+
+mock('services/QueueService.js', {
+  tweetQueue: { process: () => {} },
+  scheduledTweetQueue: { process: () => {} },
+  metricsQueue: { process: () => {} },
+  removeRepeatableJob: async (key) => state.removedRepeats.push(key),
+  deferJob: async (job, runAt, jobId) => {
+    const copy = { id: jobId || `deferred-${state.deferred.length + 1}`, data: job.data, runAt };
+    state.deferred.push(copy);
+    return copy;
+  },
+});
+mock('services/QuotaService.js', {
+  canPost: async (accountId, limits, count = 1) => {
+    state.quotaChecks.push(count);
+    return state.remaining >= count;
+  },
+  getUsage: async () => ({ blockedBy: ['day'], reset: new Date('2099-01-02T00:00:00Z') }),
+});
+mock('services/TwitterService.js', {
+  uploadMedia: async () => 'media-1',
+  postTweet: async (text, mediaId, { replyToTweetId }) => {
+    const position = state.posts.length;
+    const refusal = state.refuse[position];
+    if (refusal) {
+      delete state.refuse[position];
+      const error = new Error(refusal === 'quota' ? 'Daily tweet limit reached (17/17). Please wait for reset.' : 'Service Unavailable');
+      if (refusal === 'quota') error.quotaBlockedBy = 'day';
+      throw error;
+    }
+    state.posts.push({ text, mediaId, replyToTweetId });
+    return { data: { id: `tweet-${state.posts.length}` } };
+  },
+});
+mock('services/AIService.js', {});
+mock('services/DatabaseService.js', {
+  getScheduledTweet: async (id) => (id in state.schedules ? state.schedules[id] : { id, schedule_type: 'once', status: 'scheduled' }),
+  getDraft: async (id) => state.drafts[id] || null,
+  updateDraft: async (id, updates) => state.draftUpdates.push({ id, ...updates }),
+  updateScheduledTweet: async (id, updates) => state.updates.push({ id, ...updates }),
+  saveTweetHistory: async (entry) => state.history.push(entry),
+});
+mock('services/AccountService.js', { getQuotaLimits: async () => ({ day: 17 }) });
+mock('services/BlackoutService.js', { check: async () => null });
+mock('services/ImageService.js', {
+  loadAsset: async (assetPath) => {
+    state.loadedAssets.push(assetPath);
+    return { buffer: Buffer.from('image'), mimeType: 'image/png' };
+  },
+});
+mock('services/DraftService.js', {});
+mock('services/MetricsService.js', {});
+mock('services/ScheduleService.js', {});
+
+const tweetProcessor = require('../workers/tweetProcessor');
+
+const threadJob = (data) => {
+  const job = {
+    id: 'once:thread-1',
+    name: 'process-scheduled-tweet',
+    attemptsMade: 0,
+    opts: { attempts: 3 },
+    timestamp: Date.now(),
+    data,
+    update: async (next) => {
+      job.data = next;
+    },
+  };
+  return job;
+};
+
+const scheduledThread = () => threadJob({
+  scheduleData: {
+    id: 'thread-1',
+    schedule_type: 'once',
+    scheduled_for: '2099-01-01T10:00:00.000Z',
+    thread_segments: [
+      { text: 'first', imagePath: 'images/uploads/first.png' },
+      { text: 'second' },
+      { text: 'third' },
+    ],
+  },
+});
+
+test('a scheduled thread waits until every segment fits the quota', async () => {
+  reset();
+  state.remaining = 2;
+
+  const result = await tweetProcessor.processScheduledTweet(scheduledThread());
+
+  assert.strictEqual(result.deferred, true);
+  assert.deepStrictEqual(state.quotaChecks, [3]);
+  assert.strictEqual(state.posts.length, 0);
+  assert.strictEqual(state.deferred.length, 1);
+});
+
+test('a thread that runs out of quota midway is held and resumes at the next segment', async () => {
+  reset();
+  state.refuse[1] = 'quota';
+
+  const job = scheduledThread();
+  const first = await tweetProcessor.processScheduledTweet(job);
+
+  assert.strictEqual(first.deferred, true);
+  assert.deepStrictEqual(state.posts.map(post => post.text), ['first']);
+  assert.deepStrictEqual(state.loadedAssets, ['images/uploads/first.png']);
+  // Held back, not failed: no failed history, and the one-off follows its deferred job
+  assert.ok(state.history.every(entry => entry.status === 'success'));
+  assert.deepStrictEqual(state.updates, [{ id: 'thread-1', job_key: 'once:thread-1:deferred:1' }]);
+
+  const [deferred] = state.deferred;
+  assert.deepStrictEqual(deferred.data.threadProgress, ['tweet-1']);
+
+  const second = await tweetProcessor.processScheduledTweet(threadJob(deferred.data));
+
+  assert.strictEqual(second.success, true);
+  assert.deepStrictEqual(state.quotaChecks, [3, 2]);
+  assert.deepStrictEqual(second.tweetIds, ['tweet-1', 'tweet-2', 'tweet-3']);
+  assert.deepStrictEqual(state.posts.map(post => post.replyToTweetId), [null, 'tweet-1', 'tweet-2']);
+  assert.deepStrictEqual(state.history.map(entry => entry.thread_position), [0, 1, 2]);
+  assert.strictEqual(state.updates.at(-1).status, 'sent');
+});
+
+test('a retried thread resumes at the segment that failed without reposting', async () => {
+  reset();
+  state.refuse[2] = 'error';
+
+  const job = scheduledThread();
+  await assert.rejects(tweetProcessor.processScheduledTweet(job), /Service Unavailable/);
+
+  assert.deepStrictEqual(job.data.threadProgress, ['tweet-1', 'tweet-2']);
+  assert.deepStrictEqual(state.history.map(entry => entry.status), ['success', 'success', 'failed']);
+  assert.strictEqual(state.history[2].thread_position, 2);
+
+  // Bull runs the same job again
+  job.attemptsMade = 1;
+  const result = await tweetProcessor.processScheduledTweet(job);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(state.posts.map(post => post.text), ['first', 'second', 'third']);
+  assert.strictEqual(state.posts[2].replyToTweetId, 'tweet-2');
+  assert.strictEqual(new Set(state.history.map(entry => entry.thread_id)).size, 1);
+});
+
+const draftJob = (draftId, attemptsMade = 0) => ({
+  id: `draft:${draftId}`,
+  name: 'publish-draft',
+  attemptsMade,
+  opts: { attempts: 3 },
+  data: { draftId },
+});
+
+test('an approved draft is not posted once its schedule is paused', async () => {
+  reset();
+  state.schedules['daily-1'] = { id: 'daily-1', schedule_type: 'daily', status: 'paused' };
+  state.drafts['draft-1'] = { id: 'draft-1', status: 'approved', schedule_id: 'daily-1', schedule_type: 'daily', text: 'hello' };
+
+  const result = await tweetProcessor.publishDraft(draftJob('draft-1'));
+
+  assert.strictEqual(result.skipped, true);
+  assert.strictEqual(state.posts.length, 0);
+  assert.deepStrictEqual(state.draftUpdates, [{ id: 'draft-1', status: 'rejected', error_message: 'Not posted: schedule paused' }]);
+});
+
+test('the approved draft of a one-off is posted while the one-off awaits review', async () => {
+  reset();
+  state.schedules['once-1'] = { id: 'once-1', schedule_type: 'once', status: 'pending_review' };
+  state.drafts['draft-2'] = { id: 'draft-2', status: 'approved', schedule_id: 'once-1', schedule_type: 'once', text: 'hello' };
+
+  const result = await tweetProcessor.publishDraft(draftJob('draft-2'));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(state.updates.at(-1).status, 'sent');
+});
+
+test('a one-off is marked failed when the last attempt to post its draft fails', async () => {
+  reset();
+  state.refuse[0] = 'error';
+  state.schedules['once-2'] = { id: 'once-2', schedule_type: 'once', status: 'pending_review' };
+  state.drafts['draft-3'] = { id: 'draft-3', status: 'approved', schedule_id: 'once-2', schedule_type: 'once', text: 'hello' };
+
+  await assert.rejects(tweetProcessor.publishDraft(draftJob('draft-3', 2)), /Service Unavailable/);
+
+  assert.strictEqual(state.draftUpdates.at(-1).status, 'failed');
+  assert.deepStrictEqual(
+    state.updates.map(({ id, status, error_message }) => ({ id, status, error_message })),
+    [{ id: 'once-2', status: 'failed', error_message: 'Service Unavailable' }]
+  );
+});
+
+const repeatJob = (scheduleId, repeatKey) => ({
+  id: `repeat:${scheduleId}:1`,
+  name: 'process-scheduled-tweet',
+  attemptsMade: 0,
+  opts: { attempts: 3, repeat: { key: repeatKey }, prevMillis: Date.now() },
+  data: { scheduleData: { id: scheduleId, schedule_type: 'daily', cron_time: '0 9 * * *', text: 'hello' } },
+});
+
+test('the repeat of a cancelled schedule is removed even when the row still holds its key', async () => {
+  reset();
+  state.schedules['daily-2'] = { id: 'daily-2', schedule_type: 'daily', status: 'cancelled', job_key: 'key-2' };
+
+  const result = await tweetProcessor.processScheduledTweet(repeatJob('daily-2', 'key-2'));
+
+  assert.strictEqual(result.skipped, true);
+  assert.deepStrictEqual(state.removedRepeats, ['key-2']);
+});
+
+test('the repeat of a deleted schedule is removed', async () => {
+  reset();
+  state.schedules['daily-3'] = null;
+
+  await tweetProcessor.processScheduledTweet(repeatJob('daily-3', 'key-3'));
+
+  assert.deepStrictEqual(state.removedRepeats, ['key-3']);
+});
+
+test('a paused schedule keeps the repeat its row points at', async () => {
+  reset();
+  state.schedules['daily-4'] = { id: 'daily-4', schedule_type: 'daily', status: 'paused', job_key: 'key-4' };
+
+  const result = await tweetProcessor.processScheduledTweet(repeatJob('daily-4', 'key-4'));
+
+  assert.strictEqual(result.reason, 'schedule paused');
+  assert.deepStrictEqual(state.removedRepeats, []);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { schemas, validate } = require('../utils/validation');
+
+test('an edit can not send a post back to the queue', () => {
+  assert.throws(
+    () => validate(schemas.scheduleEdit, { scheduleType: 'queue', text: 'hello' }),
+    /^Error: Validation error: "scheduleType" must be one of/
+  );
+});
+
+test('an edit restates any cadence the schedule service can time', () => {
+  for (const scheduleType of ['once', 'everyMinute', 'hourly', 'daily', 'weekly', 'custom']) {
+    assert.strictEqual(schemas.scheduleEdit.extract('scheduleType').validate(scheduleType).error, undefined);
+  }
+});
+
+test('new schedules may still go to the queue', () => {
+  assert.strictEqual(validate(schemas.schedule, { scheduleType: 'queue', text: 'hello' }).scheduleType, 'queue');
+});
+
+test('custom cadences are checked with the cron parser', () => {
+  assert.throws(
+    () => validate(schemas.schedule, { scheduleType: 'custom', customCron: '0 25 * * *', text: 'hello' }),
+    /^Error: Validation error: Invalid cron expression: /
+  );
+  assert.strictEqual(validate(schemas.schedule, { scheduleType: 'custom', customCron: ' 0 9 * * 1-5 ', text: 'hello' }).customCron, '0 9 * * 1-5');
+});
+
+test('a cron preview asks for what its cadence needs', () => {
+  assert.deepStrictEqual(validate(schemas.cronPreview, { customCron: '0 9 * * *' }), { scheduleType: 'custom', customCron: '0 9 * * *', count: 5 });
+  assert.throws(() => validate(schemas.cronPreview, { scheduleType: 'daily' }), /"time" is required/);
+  assert.throws(() => validate(schemas.cronPreview, { customCron: '0 9 * * *', count: 51 }), /"count" must be less than or equal to 50/);
+});
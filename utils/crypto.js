@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// Any passphrase works as ACCOUNT_ENCRYPTION_KEY; it is stretched to a 256-bit key
+const getKey = () => {
+  if (!config.accounts.encryptionKey) {
+    throw new Error('ACCOUNT_ENCRYPTION_KEY is not configured. It is required to store account credentials.');
+  }
+  return crypto.createHash('sha256').update(config.accounts.encryptionKey).digest();
+};
+
+// Returns `v1:<iv>:<auth tag>:<ciphertext>`, all base64
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decrypt = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
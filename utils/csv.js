@@ -0,0 +1,66 @@
+// Rows of a CSV document (RFC 4180): comma separated, fields may be quoted, a quote inside
+// a quoted field is doubled, and quoted fields may span lines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unclosed quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no row
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Objects keyed by the header row; cells past the header are ignored, missing cells are empty
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return rows.map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, cells[index] !== undefined ? cells[index] : ''])
+  ));
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+};
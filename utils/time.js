@@ -0,0 +1,215 @@
+const cronParser = require('cron-parser');
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of a date as seen in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return {
+    year: parseInt(values.year),
+    month: parseInt(values.month),
+    day: parseInt(values.day),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute),
+    second: parseInt(values.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday),
+  };
+};
+
+// Offset in milliseconds between the timezone's wall clock and UTC at the given instant
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Convert an ISO date-time to a Date. Values without an offset (e.g. from a
+// datetime-local input) are read as wall-clock time in the given timezone.
+const zonedTimeToUtc = (dateTime, timeZone) => {
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(dateTime)) {
+    return new Date(dateTime);
+  }
+
+  const wallClock = new Date(`${dateTime}Z`);
+  const offset = getTimezoneOffset(wallClock, timeZone);
+  const result = new Date(wallClock.getTime() - offset);
+
+  // Correct the guess when it landed on the other side of a DST change
+  const actualOffset = getTimezoneOffset(result, timeZone);
+  return actualOffset === offset ? result : new Date(wallClock.getTime() - actualOffset);
+};
+
+const formatInTimezone = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short',
+}).format(date);
+
+// Wall-clock value for a datetime-local input, e.g. 2025-09-11T14:30
+const toDateTimeLocal = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+};
+
+// Midnight of the day containing `date` in the given timezone, shifted by `dayOffset` days
+const startOfZonedDay = (date, timeZone, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const target = new Date(Date.UTC(year, month - 1, day + dayOffset));
+  return zonedTimeToUtc(`${target.toISOString().slice(0, 10)}T00:00:00`, timeZone);
+};
+
+// Midnight on the first of the month containing `date` in the given timezone, shifted by `monthOffset` months
+const startOfZonedMonth = (date, timeZone, monthOffset = 0) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  const target = new Date(Date.UTC(year, month - 1 + monthOffset, 1));
+  return zonedTimeToUtc(`${target.toISOString().slice(0, 10)}T00:00:00`, timeZone);
+};
+
+// Why a cron expression can't be used, or null when it can. Expressions have five fields
+// (minute hour day month weekday) and must parse with cron-parser, the parser Bull uses, so
+// ranges, steps, lists and named months and days work and out-of-range values don't.
+const getCronError = (cronExpression) => {
+  if (typeof cronExpression !== 'string' || cronExpression.trim().split(/\s+/).length !== 5) {
+    return 'Must have 5 parts: minute hour day month weekday';
+  }
+  try {
+    cronParser.parseExpression(cronExpression.trim());
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Cron expression of a recurring schedule type; daily and weekly runs are at `time` (HH:MM)
+const getScheduleCron = (scheduleType, { time, customCron } = {}) => {
+  switch (scheduleType) {
+    case 'everyMinute':
+      return '*/1 * * * *';
+    case 'hourly':
+      return '0 * * * *';
+    case 'daily': {
+      const [hour, minute] = (time || '00:00').split(':');
+      return `${minute} ${hour} * * *`;
+    }
+    case 'weekly': {
+      const [hour, minute] = (time || '00:00').split(':');
+      return `${minute} ${hour} * * 0`; // Sunday
+    }
+    case 'custom':
+      return customCron;
+    default:
+      throw new Error('Invalid schedule type');
+  }
+};
+
+// Fire times of a cron expression on each day it runs. Read from the parsed fields rather
+// than by stepping through runs, which is slow for dense expressions; DST days can differ by an hour.
+const getCronRunsPerDay = (cronExpression) => {
+  const { minute, hour } = cronParser.parseExpression(cronExpression).fields;
+  return minute.length * hour.length;
+};
+
+// Next `count` fire times of a cron expression, evaluated in the given timezone
+const getNextCronRuns = (cronExpression, timeZone, count = 1, from = new Date()) => {
+  const interval = cronParser.parseExpression(cronExpression, {
+    currentDate: from,
+    tz: timeZone,
+  });
+
+  const runs = [];
+  for (let i = 0; i < count; i++) {
+    runs.push(interval.next().toDate());
+  }
+  return runs;
+};
+
+// Times a jittered run planned at `plannedAt` may be posted between: up to jitterMinutes either
+// side, but no further than halfway to the runs before and after it less half of `gapMs`, so
+// neighbouring runs keep their order and stay at least `gapMs` apart
+const getJitterWindow = (cronExpression, timeZone, plannedAt, jitterMinutes, gapMs = 0) => {
+  const jitterMs = jitterMinutes * 60 * 1000;
+  const reach = (direction) => {
+    const interval = cronParser.parseExpression(cronExpression, { currentDate: plannedAt, tz: timeZone });
+    const distanceMs = Math.abs(interval[direction]().getTime() - plannedAt.getTime());
+    return Math.max(0, Math.min(jitterMs, Math.floor((distanceMs - gapMs) / 2)));
+  };
+
+  return {
+    earliest: new Date(plannedAt.getTime() - reach('prev')),
+    latest: new Date(plannedAt.getTime() + reach('next')),
+  };
+};
+
+// Whether a scheduled_tweets row will still run. The worker marks recurring rows sent,
+// failed, skipped or pending_review after each run; they keep running until paused or
+// cancelled. One-offs only run while still scheduled.
+const isActiveSchedule = (schedule) => (schedule.schedule_type === 'once'
+  ? schedule.status === 'scheduled'
+  : !['paused', 'cancelled'].includes(schedule.status));
+
+// Next run of a scheduled_tweets row, formatted in its own timezone and in UTC
+const getNextScheduleRun = (schedule, defaultTimezone = 'UTC') => {
+  if (!isActiveSchedule(schedule)) return null;
+
+  const timeZone = schedule.timezone || defaultTimezone;
+  let nextRun;
+  try {
+    nextRun = schedule.schedule_type === 'once'
+      ? new Date(schedule.scheduled_for)
+      : getNextCronRuns(schedule.cron_time, timeZone)[0];
+  } catch {
+    return null;
+  }
+
+  if (!nextRun || isNaN(nextRun.getTime())) return null;
+
+  return {
+    at: nextRun.toISOString(),
+    timezone: timeZone,
+    local: formatInTimezone(nextRun, timeZone),
+    utc: formatInTimezone(nextRun, 'UTC'),
+  };
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatInTimezone,
+  toDateTimeLocal,
+  startOfZonedDay,
+  startOfZonedMonth,
+  getCronError,
+  getScheduleCron,
+  getCronRunsPerDay,
+  getNextCronRuns,
+  getJitterWindow,
+  isActiveSchedule,
+  getNextScheduleRun,
+};
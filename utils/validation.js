@@ -1,30 +1,103 @@
 const Joi = require('joi');
+const { isValidTimezone, getCronError } = require('./time');
+
+// A single post inside a thread; image files are attached by the route after upload
+const threadSegment = Joi.object({
+  text: Joi.string().min(1).max(280).required(),
+  imagePrompt: Joi.string().max(500).optional(),
+  imageUrl: Joi.string().uri().optional(),
+});
+
+const threadSegments = Joi.array().items(threadSegment).min(2).max(25);
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('Dates must be given as YYYY-MM-DD');
+
+// Daily ranges as HH:MM-HH:MM in the account's timezone; 22:00-07:00 wraps past midnight
+const quietHours = Joi.array().items(
+  Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]-([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .message('Quiet hours must be ranges such as 22:00-07:00')
+).max(10);
+
+// Inclusive date ranges; without an end the blackout covers a single day
+const blackoutDates = Joi.array().items(Joi.object({
+  start: isoDate.required(),
+  end: isoDate.optional(),
+  reason: Joi.string().max(200).empty('').optional(),
+})).max(100);
+
+// skip drops a run inside quiet hours or a blackout, defer posts it when the window ends
+const blackoutPolicy = Joi.string().valid('default', 'skip', 'defer');
+
+// Tones AIService.buildPrompt knows; posts record theirs for analytics
+const tone = Joi.string().valid('engaging', 'professional', 'casual', 'humorous', 'informative');
+
+// IANA timezone names such as Europe/Berlin
+const timezone = Joi.string().custom((value, helpers) => {
+  if (!isValidTimezone(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+}, 'Timezone Validation')
+.message('Invalid timezone. Use an IANA name such as Europe/Berlin');
+
+// Five-field cron expressions, checked with the parser Bull uses
+const cronExpression = Joi.string().trim().custom((value, helpers) => {
+  const reason = getCronError(value);
+  if (reason) {
+    return helpers.message('Invalid cron expression: {#reason}', { reason });
+  }
+  return value;
+}, 'Cron Expression Validation');
+
+// Empty means the default account configured through TWITTER_* env vars
+const accountId = Joi.string().guid().empty(Joi.valid('', 'default')).optional();
 
 const schemas = {
   tweet: Joi.object({
-    text: Joi.string().min(1).max(280).required(),
+    text: Joi.string().min(1).max(280),
     imagePrompt: Joi.string().max(500).optional(),
-  }),
+    segments: threadSegments,
+    accountId,
+    blackoutPolicy: blackoutPolicy.default('default'),
+    // Set when the text came from the AI generator
+    tone: tone.empty('').optional(),
+  }).xor('text', 'segments'),
 
   schedule: Joi.object({
     text: Joi.string().max(280).optional(),
-    scheduleType: Joi.string().valid('everyMinute', 'hourly', 'daily', 'weekly', 'custom').required(),
+    // queue: no time of its own, the post takes the next free posting slot
+    scheduleType: Joi.string().valid('once', 'queue', 'everyMinute', 'hourly', 'daily', 'weekly', 'custom').required(),
     customPrompt: Joi.string().max(500).optional(),
+    // Tone of the AI-written runs; empty means engaging
+    tone: tone.empty('').optional(),
     imagePrompt: Joi.string().max(500).optional(),
     includeImage: Joi.boolean().optional(),
+    segments: threadSegments.optional(),
+    accountId,
+    // default follows REVIEW_MODE; review and auto override it for this schedule
+    reviewMode: Joi.string().valid('default', 'review', 'auto').default('default'),
+    // default follows BLACKOUT_POLICY
+    blackoutPolicy: blackoutPolicy.default('default'),
+    // Recurring runs are moved by a random offset of up to jitterMinutes minutes either way
+    jitterMinutes: Joi.when('scheduleType', {
+      is: Joi.valid('once', 'queue'),
+      then: Joi.any().strip(),
+      otherwise: Joi.number().integer().min(0).max(180).empty('').optional(),
+    }),
     customCron: Joi.when('scheduleType', {
       is: 'custom',
-      then: Joi.string().required().custom((value, helpers) => {
-        // Simple validation that checks for 5 space-separated parts
-        const parts = value.trim().split(/\s+/);
-        if (parts.length !== 5) {
-          return helpers.error('any.invalid');
-        }
-        return value;
-      }, 'Cron Expression Validation')
-      .message('Invalid cron format. Must have 5 parts: minute hour day month weekday'),
+      then: cronExpression.required(),
+      otherwise: Joi.any().strip()
+    }),
+    // Without an offset the date-time is read in the schedule's timezone
+    scheduledFor: Joi.when('scheduleType', {
+      is: 'once',
+      then: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i)
+        .message('Scheduled time must be an ISO date-time, e.g. 2025-09-11T14:30')
+        .required(),
       otherwise: Joi.any().strip()
     }),
+    timezone: timezone.optional(),
     time: Joi.when('scheduleType', {
       is: Joi.valid('daily', 'weekly'),
       then: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
@@ -32,14 +105,111 @@ const schemas = {
     })
   }),
 
+  account: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    handle: Joi.string().max(50).empty('').optional(),
+    timezone: timezone.empty('').optional(),
+    dailyTweetLimit: Joi.number().integer().min(1).empty('').optional(),
+    quietHours: quietHours.optional(),
+    blackoutDates: blackoutDates.optional(),
+    credentials: Joi.object({
+      apiKey: Joi.string().required(),
+      apiSecret: Joi.string().required(),
+      accessToken: Joi.string().required(),
+      accessSecret: Joi.string().required(),
+    }).required(),
+  }),
+
+  apiToken: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid('read', 'post', 'schedule', 'admin')).min(1).unique().required(),
+  }),
+
+  // Approving may replace the draft text; rejecting may give a reason
+  draftReview: Joi.object({
+    text: Joi.string().trim().max(280).empty('').optional(),
+    reason: Joi.string().trim().max(500).empty('').optional(),
+  }),
+
+  // Analytics filters; without accountId the report covers every account
+  analyticsQuery: Joi.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    accountId,
+    timezone: timezone.empty('').optional(),
+  }),
+
+  // Upcoming fire times of a recurring cadence, as the schedule form would set it up
+  cronPreview: Joi.object({
+    scheduleType: Joi.string().valid('everyMinute', 'hourly', 'daily', 'weekly', 'custom').default('custom'),
+    customCron: Joi.when('scheduleType', {
+      is: 'custom',
+      then: cronExpression.required(),
+      otherwise: Joi.any().strip()
+    }),
+    time: Joi.when('scheduleType', {
+      is: Joi.valid('daily', 'weekly'),
+      then: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+      otherwise: Joi.any().strip()
+    }),
+    timezone: timezone.empty('').optional(),
+    count: Joi.number().integer().min(1).max(50).default(5),
+    accountId,
+  }),
+
+  // A week or month of the calendar, around `date` (default today)
+  calendarQuery: Joi.object({
+    view: Joi.string().valid('week', 'month').default('week'),
+    date: isoDate.optional(),
+    accountId,
+    timezone: timezone.empty('').optional(),
+  }),
+
+  // A CSV or JSON file of posts; without a format it's told from the name or the content
+  importUpload: Joi.object({
+    content: Joi.string().trim().required().messages({
+      'any.required': 'Choose a file or paste rows to import',
+      'string.empty': 'Choose a file or paste rows to import',
+    }),
+    format: Joi.string().valid('csv', 'json').empty('').optional(),
+    name: Joi.string().trim().max(200).empty('').optional(),
+    accountId,
+  }),
+
   aiGenerate: Joi.object({
     prompt: Joi.string().min(10).max(500).required(),
     includeImage: Joi.boolean().optional(),
     imagePrompt: Joi.string().max(500).optional(),
-    tone: Joi.string().valid('engaging', 'professional', 'casual', 'humorous', 'informative').default('engaging'),
+    tone: tone.default('engaging'),
   }),
 };
 
+// Updates may change any subset of an account's fields
+schemas.accountUpdate = schemas.account.fork(['name', 'credentials'], field => field.optional());
+
+// Edits restate the cadence; an empty string clears a text field and an omitted one keeps it.
+// The account and thread segments of a schedule can't be changed. A post can't be sent back
+// to the queue: queued posts are edited as one-offs at their slot.
+schemas.scheduleEdit = schemas.schedule
+  .fork(['text', 'customPrompt', 'imagePrompt'], field => field.allow(''))
+  .fork(['segments', 'accountId'], field => field.strip())
+  .keys({
+    scheduleType: Joi.string().valid('once', 'everyMinute', 'hourly', 'daily', 'weekly', 'custom').required(),
+    reviewMode: Joi.string().valid('default', 'review', 'auto').optional(),
+    blackoutPolicy: blackoutPolicy.optional(),
+    removeImage: Joi.boolean().optional(),
+  });
+
+// One row of a bulk import: a schedule for the import's account, with an image URL or the
+// path of a stored asset
+schemas.importRow = schemas.schedule
+  .fork(['segments', 'accountId'], field => field.strip())
+  .keys({
+    image: Joi.string().trim().max(2000).optional(),
+  })
+  .or('text', 'customPrompt')
+  .messages({ 'object.missing': 'Each row needs text or a prompt' });
+
 const validate = (schema, data) => {
   const { error, value } = schema.validate(data);
   if (error) {
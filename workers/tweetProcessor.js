@@ -1,11 +1,19 @@
 const queueService = require('../services/QueueService');
+const quotaService = require('../services/QuotaService');
 const twitterService = require('../services/TwitterService');
 const aiService = require('../services/AIService');
 const databaseService = require('../services/DatabaseService');
+const accountService = require('../services/AccountService');
+const blackoutService = require('../services/BlackoutService');
+const imageService = require('../services/ImageService');
+const draftService = require('../services/DraftService');
+const metricsService = require('../services/MetricsService');
+const scheduleService = require('../services/ScheduleService');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 
 class TweetProcessor {
   constructor() {
@@ -18,33 +26,73 @@ class TweetProcessor {
     
     // Process scheduled tweets
     queueService.scheduledTweetQueue.process('process-scheduled-tweet', this.processScheduledTweet.bind(this));
+
+    // Post approved drafts and resolve drafts nobody reviewed in time
+    queueService.tweetQueue.process('publish-draft', this.publishDraft.bind(this));
+    queueService.tweetQueue.process('expire-draft', this.expireDraft.bind(this));
+
+    // Refresh engagement metrics of recent posts
+    queueService.metricsQueue.process('collect-metrics', this.collectMetrics.bind(this));
   }
 
   async processTweet(job) {
     const { tweetData } = job.data;
+    const accountId = tweetData.accountId || null;
     logger.info(`Processing immediate tweet job: ${job.id}`, tweetData);
 
+    const blackout = await blackoutService.check(accountId);
+    if (blackout) {
+      if (blackoutService.policyFor(tweetData) === 'skip') {
+        logger.info(`Skipping immediate tweet job ${job.id}: ${blackout.reason}`);
+        this.removeFile(tweetData.imageFile);
+        (tweetData.segments || []).forEach(segment => this.removeFile(segment.imageFile));
+        return { success: false, skipped: true, reason: blackout.reason };
+      }
+      return (await this.deferForBlackout(job, blackout)).result;
+    }
+
+    if (tweetData.segments) {
+      try {
+        return await this.processThread(job, tweetData.segments, {
+          threadId: tweetData.threadId,
+          accountId,
+          type: 'immediate',
+          removeFiles: true,
+        });
+      } catch (error) {
+        if (!error.quotaBlockedBy) throw error;
+        // The rest of the thread waits for the quota, resuming at the segment that was held back
+        const deferred = await this.deferForQuota(job, accountId);
+        return { success: false, deferred: true, until: deferred.until };
+      }
+    }
+
     try {
       let mediaId = null;
+      let imagePath = null;
 
       // Handle image if provided
       if (tweetData.imageFile) {
-        mediaId = await twitterService.uploadMedia(tweetData.imageFile);
+        mediaId = await twitterService.uploadMedia(tweetData.imageFile, accountId);
         // Clean up file after upload
         if (fs.existsSync(tweetData.imageFile)) {
           fs.unlinkSync(tweetData.imageFile);
         }
       } else if (tweetData.imageUrl) {
-        const imagePath = await this.downloadImage(tweetData.imageUrl);
-        mediaId = await twitterService.uploadMedia(imagePath);
+        const downloadedPath = await this.downloadImage(tweetData.imageUrl);
+        mediaId = await twitterService.uploadMedia(downloadedPath, accountId);
         // Clean up downloaded file
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
+        if (fs.existsSync(downloadedPath)) {
+          fs.unlinkSync(downloadedPath);
         }
+      } else if (tweetData.imagePrompt) {
+        const image = await imageService.generateImage(tweetData.imagePrompt);
+        mediaId = await twitterService.uploadMedia(image.buffer, accountId, { mimeType: image.mimeType });
+        imagePath = image.assetPath;
       }
 
       // Post the tweet
-      const result = await twitterService.postTweet(tweetData.text, mediaId);
+      const result = await twitterService.postTweet(tweetData.text, mediaId, { accountId });
 
       // Save to history
       await databaseService.saveTweetHistory({
@@ -52,7 +100,10 @@ class TweetProcessor {
         tweet_id: result.data.id,
         has_image: !!mediaId,
         image_prompt: tweetData.imagePrompt || null,
+        image_path: imagePath,
         type: 'immediate',
+        account_id: accountId,
+        tone: tweetData.tone || null,
         status: 'success',
       });
 
@@ -64,27 +115,13 @@ class TweetProcessor {
       
       // Only save failed attempts to history if they're not due to API configuration issues
       // This prevents cluttering the database with failed attempts due to missing/invalid API keys
-      const isConfigError = error.message.includes('demo') || 
-                           error.message.includes('credentials') ||
-                           error.message.includes('not configured') ||
-                           error.message.includes('invalid') ||
-                           error.message.includes('Unauthorized') ||
-                           error.message.includes('Forbidden') ||
-                           error.message.includes('Twitter API not configured') ||
-                           error.message.includes('Twitter API credentials are invalid') ||
-                           error.message.includes('Twitter API access forbidden') ||
-                           error.message.includes('Twitter API rate limit exceeded') ||
-                           error.message.includes('Request failed with code 429') || // Rate limit with demo keys
-                           error.code === 401 ||
-                           error.code === 403 ||
-                           error.code === 429; // Rate limit exceeded (likely due to demo keys)
-      
-      if (!isConfigError) {
+      if (!this.isConfigError(error)) {
         await databaseService.saveTweetHistory({
           text: tweetData.text,
-          has_image: !!tweetData.imageFile || !!tweetData.imageUrl,
+          has_image: !!tweetData.imageFile || !!tweetData.imageUrl || !!tweetData.imagePrompt,
           image_prompt: tweetData.imagePrompt || null,
           type: 'immediate',
+          account_id: accountId,
           status: 'failed',
           error_message: error.message,
         });
@@ -99,25 +136,112 @@ class TweetProcessor {
   async processScheduledTweet(job) {
     logger.info(`Processing scheduled tweet job: ${job.id}`, { jobData: job.data });
 
+    // Handle both direct data and nested scheduleData for backward compatibility
+    const scheduleData = job.data.scheduleData || job.data;
+    const accountId = scheduleData.account_id || null;
+    const isThread = Array.isArray(scheduleData.thread_segments) && scheduleData.thread_segments.length > 0;
+
     try {
-      // Handle both direct data and nested scheduleData for backward compatibility
-      const scheduleData = job.data.scheduleData || job.data;
-      
       // Check if we have valid job data
       if (!scheduleData) {
         logger.error('Invalid job data for scheduled tweet:', job.data);
         throw new Error('Invalid job data - missing schedule data');
       }
       
-      // Check if we can post (rate limits)
-      const canPost = await queueService.canProcessTweet();
+      // The row, not the job, decides whether this schedule still runs
+      const skipReason = await this.checkScheduleActive(job, scheduleData);
+      if (skipReason) {
+        return { success: false, skipped: true, reason: skipReason };
+      }
+
+      // Remember when this run was due; deferred copies of the job carry it along
+      if (!job.data.plannedAt) {
+        await job.update({ ...job.data, plannedAt: this.getPlannedAt(job, scheduleData).toISOString() });
+      }
+
+      // A jittered schedule's runs are posted by jobs planned one run ahead; its repeat only
+      // plans the next one
+      if (scheduleData.jitter_minutes > 0 && scheduleData.schedule_type !== 'once' && !job.data.jitter) {
+        return this.planJitteredRun(job, scheduleData);
+      }
+
+      const isOneOff = scheduleData.schedule_type === 'once' && scheduleData.id;
+      const deferralCount = ((job.data.deferred && job.data.deferred.count) || 0) + 1;
+      const deferredJobId = isOneOff ? `once:${scheduleData.id}:deferred:${deferralCount}` : undefined;
+
+      // Quiet hours and blackout dates of the account, per the schedule's policy
+      const blackout = await blackoutService.check(accountId);
+      if (blackout) {
+        if (blackoutService.policyFor(scheduleData) === 'skip') {
+          logger.info(`Skipping scheduled tweet job ${job.id}: ${blackout.reason}`, { scheduleId: scheduleData.id });
+          if (isOneOff) {
+            await databaseService.updateScheduledTweet(scheduleData.id, { status: 'skipped', error_message: blackout.reason });
+          }
+          return { success: false, skipped: true, reason: blackout.reason };
+        }
+
+        const deferred = await this.deferForBlackout(job, blackout, deferredJobId);
+        if (isOneOff) {
+          await databaseService.updateScheduledTweet(scheduleData.id, { job_key: String(deferred.job.id) });
+        }
+        return deferred.result;
+      }
+
+      // Hold the post until the quota resets instead of burning Bull's retries
+      const holdForQuota = async () => {
+        const deferred = await this.deferForQuota(job, accountId, deferredJobId);
+
+        // Cancelling or editing a one-off must find the job that will now run it
+        if (isOneOff) {
+          await databaseService.updateScheduledTweet(scheduleData.id, { job_key: String(deferred.job.id) });
+        }
+
+        return { success: false, deferred: true, until: deferred.until };
+      };
+
+      // Check if we can post (rate limits). A thread needs room for every segment it has left.
+      const posts = isThread ? scheduleData.thread_segments.length - (job.data.threadProgress || []).length : 1;
+      const canPost = await quotaService.canPost(accountId, await accountService.getQuotaLimits(accountId), posts);
       if (!canPost) {
-        logger.info(`Rate limit reached, deferring tweet job: ${job.id}`);
-        // Re-queue for later (will be retried automatically by Bull)
-        throw new Error('Daily rate limit reached');
+        return holdForQuota();
+      }
+
+      if (isThread) {
+        // Keep the same thread ID across retries of this occurrence
+        if (!job.data.threadId) {
+          await job.update({ ...job.data, threadId: uuidv4() });
+        }
+
+        let threadResult;
+        try {
+          threadResult = await this.processThread(job, scheduleData.thread_segments, {
+            threadId: job.data.threadId,
+            accountId,
+            type: 'scheduled',
+            scheduleType: scheduleData.schedule_type,
+            plannedAt: job.data.plannedAt,
+          });
+        } catch (error) {
+          if (!error.quotaBlockedBy) throw error;
+          // The quota ran out mid-thread (e.g. another post took the last slot); the deferred job
+          // carries the thread's progress and resumes at the segment that was held back
+          return holdForQuota();
+        }
+
+        if (scheduleData.id) {
+          await databaseService.updateScheduledTweet(scheduleData.id, {
+            status: 'sent',
+            tweet_id: threadResult.tweetId,
+            sent_at: new Date().toISOString(),
+          });
+        }
+
+        return threadResult;
       }
 
       let tweetText = scheduleData.text || scheduleData.custom_prompt;
+      // Only AI-written posts have a tone
+      let tone = null;
 
       // Generate AI tweet if needed
       if (scheduleData.custom_prompt || !tweetText) {
@@ -127,31 +251,29 @@ class TweetProcessor {
           tone: scheduleData.tone || 'engaging',
         });
         tweetText = aiResult.text;
+        tone = aiResult.tone;
       }
 
-      let mediaId = null;
+      // In review mode nothing is posted until a reviewer approves the draft
+      if (draftService.requiresReview(scheduleData)) {
+        const draft = await draftService.createDraft(scheduleData, tweetText, tone);
 
-      // Handle image generation/upload
-      if (scheduleData.include_image) {
-        if (scheduleData.image_url) {
-          const imagePath = await this.downloadImage(scheduleData.image_url);
-          mediaId = await twitterService.uploadMedia(imagePath);
-          if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
-          }
-        } else if (scheduleData.image_prompt || scheduleData.custom_prompt) {
-          // For now, use placeholder - in production you'd integrate with image generation API
-          const placeholderUrl = 'https://picsum.photos/800/600';
-          const imagePath = await this.downloadImage(placeholderUrl);
-          mediaId = await twitterService.uploadMedia(imagePath);
-          if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
-          }
+        if (scheduleData.id && scheduleData.schedule_type === 'once') {
+          await databaseService.updateScheduledTweet(scheduleData.id, { status: 'pending_review' });
         }
+
+        return { success: true, draftId: draft.id, status: 'pending_review' };
+      }
+
+      let image = { mediaId: null, assetPath: null, imagePrompt: scheduleData.image_prompt || null };
+
+      // Handle image generation/upload
+      if (scheduleData.include_image || scheduleData.image_path) {
+        image = await this.prepareScheduledImage(scheduleData, tweetText, accountId);
       }
 
       // Post the tweet
-      const result = await twitterService.postTweet(tweetText, mediaId);
+      const result = await twitterService.postTweet(tweetText, image.mediaId, { accountId });
 
       // Update scheduled tweet status
       if (scheduleData.id) {
@@ -167,11 +289,15 @@ class TweetProcessor {
       await databaseService.saveTweetHistory({
         text: tweetText,
         tweet_id: result.data.id,
-        has_image: !!mediaId,
-        image_prompt: scheduleData.image_prompt || null,
+        has_image: !!image.mediaId,
+        image_prompt: image.imagePrompt,
+        image_path: image.assetPath,
         type: 'scheduled',
         schedule_type: scheduleData.schedule_type,
+        account_id: accountId,
+        tone,
         status: 'success',
+        planned_at: job.data.plannedAt,
       });
 
       logger.info(`Scheduled tweet posted successfully: ${result.data.id}`);
@@ -180,8 +306,9 @@ class TweetProcessor {
     } catch (error) {
       logger.error(`Scheduled tweet job ${job.id} failed:`, error.message);
 
-      // Update scheduled tweet status to failed
-      if (scheduleData.id) {
+      // Update scheduled tweet status to failed. One-off rows only fail once Bull has no retries left.
+      const isFinalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      if (scheduleData.id && (scheduleData.schedule_type !== 'once' || isFinalAttempt)) {
         await databaseService.updateScheduledTweet(scheduleData.id, {
           status: 'failed',
           error_message: error.message,
@@ -189,31 +316,19 @@ class TweetProcessor {
         });
       }
 
-      // Only save failed attempts to history if they're not due to API configuration issues
-      const isConfigError = error.message.includes('demo') || 
-                           error.message.includes('credentials') ||
-                           error.message.includes('not configured') ||
-                           error.message.includes('invalid') ||
-                           error.message.includes('Unauthorized') ||
-                           error.message.includes('Forbidden') ||
-                           error.message.includes('Twitter API not configured') ||
-                           error.message.includes('Twitter API credentials are invalid') ||
-                           error.message.includes('Twitter API access forbidden') ||
-                           error.message.includes('Twitter API rate limit exceeded') ||
-                           error.message.includes('Request failed with code 429') || // Rate limit with demo keys
-                           error.code === 401 ||
-                           error.code === 403 ||
-                           error.code === 429; // Rate limit exceeded (likely due to demo keys)
-      
-      if (!isConfigError) {
+      // Only save failed attempts to history if they're not due to API configuration issues.
+      // Threads record their own failed segment in processThread.
+      if (!isThread && !this.isConfigError(error)) {
         await databaseService.saveTweetHistory({
           text: scheduleData.text || scheduleData.custom_prompt,
-          has_image: scheduleData.include_image,
+          has_image: !!scheduleData.include_image || !!scheduleData.image_path,
           image_prompt: scheduleData.image_prompt || null,
           type: 'scheduled',
           schedule_type: scheduleData.schedule_type,
+          account_id: accountId,
           status: 'failed',
           error_message: error.message,
+          planned_at: job.data.plannedAt || null,
         });
       } else {
         logger.info('Skipping database save for configuration error:', error.message);
@@ -223,6 +338,336 @@ class TweetProcessor {
     }
   }
 
+  // Re-queue a quota-blocked job for when every full quota window has room again
+  async deferForQuota(job, accountId, jobId = undefined) {
+    const usage = await quotaService.getUsage(accountId, await accountService.getQuotaLimits(accountId));
+    // Blocked only by in-flight posts: their reservations settle within minutes, so look again soon
+    const until = usage.blockedBy.length ? usage.reset : new Date(Date.now() + 60 * 1000);
+
+    const deferredJob = await queueService.deferJob(job, until, jobId);
+    logger.info(`Quota reached for account ${accountId || 'default'}, job ${job.id} deferred until ${until.toISOString()}`);
+    return { job: deferredJob, until: until.toISOString() };
+  }
+
+  // When the run was due: the fire time of a repeatable job, or the time of a one-off
+  getPlannedAt(job, scheduleData) {
+    if (job.opts.prevMillis) {
+      return new Date(job.opts.prevMillis);
+    }
+    if (scheduleData.schedule_type === 'once' && scheduleData.scheduled_for) {
+      return new Date(scheduleData.scheduled_for);
+    }
+    return new Date(job.timestamp);
+  }
+
+  async planJitteredRun(job, scheduleData) {
+    const planned = await scheduleService.planJitteredRun(scheduleData);
+    if (!planned) {
+      return { success: true, jittered: true, planned: null };
+    }
+
+    const { plannedAt, jitter } = planned.data;
+    logger.info(`Jitter: job ${job.id} planned the run due ${plannedAt} for ${jitter.runAt}`);
+    return { success: true, jittered: true, plannedAt, runAt: jitter.runAt };
+  }
+
+  async deferForBlackout(job, blackout, jobId = undefined) {
+    const deferredJob = await queueService.deferJob(job, blackout.until, jobId, 'blackout');
+    logger.info(`${blackout.reason}: job ${job.id} deferred until ${blackout.until.toISOString()}`);
+    return {
+      job: deferredJob,
+      result: { success: false, deferred: true, until: blackout.until.toISOString(), reason: blackout.reason },
+    };
+  }
+
+  // Returns why a schedule's job must not post, or null when it may. Jobs left behind by a
+  // cancelled or paused schedule are removed so they stop firing. A one-off posts while it is
+  // scheduled (or failed, on a retry); pass `reviewed` for its approved draft, which posts while
+  // the one-off is pending review.
+  async checkScheduleActive(job, scheduleData, { reviewed = false } = {}) {
+    if (!scheduleData.id) {
+      return null;
+    }
+
+    const schedule = await databaseService.getScheduledTweet(scheduleData.id);
+    const postable = reviewed ? ['pending_review'] : ['scheduled', 'failed'];
+    let reason = null;
+    if (!schedule) {
+      reason = 'schedule deleted';
+    } else if (['cancelled', 'paused'].includes(schedule.status)) {
+      reason = `schedule ${schedule.status}`;
+    } else if (schedule.schedule_type === 'once' && !postable.includes(schedule.status)) {
+      reason = `one-off tweet already ${schedule.status}`;
+    }
+
+    if (!reason) {
+      return null;
+    }
+
+    logger.warn(`Skipping scheduled tweet job ${job.id}: ${reason}`, { scheduleId: scheduleData.id });
+    // A repeat the row no longer points at is left over from an earlier cadence. Deleted and
+    // cancelled schedules never run again, whatever key the row still holds.
+    const repeatKey = job.opts.repeat && job.opts.repeat.key;
+    if (repeatKey && (!schedule || schedule.status === 'cancelled' || schedule.job_key !== repeatKey)) {
+      await queueService.removeRepeatableJob(repeatKey);
+    }
+    return reason;
+  }
+
+  async publishDraft(job) {
+    const { draftId } = job.data;
+    logger.info(`Processing draft publish job: ${job.id}`, { draftId });
+
+    const draft = await databaseService.getDraft(draftId);
+    if (!draft || draft.status !== 'approved') {
+      logger.warn(`Draft ${draftId} is not approved, skipping`);
+      return { success: false, skipped: true };
+    }
+
+    const accountId = draft.account_id || null;
+
+    // A draft can't outlive its schedule being paused or cancelled
+    if (draft.schedule_id) {
+      const skipReason = await this.checkScheduleActive(job, { id: draft.schedule_id }, { reviewed: true });
+      if (skipReason) {
+        await databaseService.updateDraft(draftId, { status: 'rejected', error_message: `Not posted: ${skipReason}` });
+        logger.warn(`Draft ${draftId} not posted: ${skipReason}`);
+        return { success: false, skipped: true, reason: skipReason };
+      }
+    }
+
+    try {
+      // An approved draft is never dropped, only held until the account may post again
+      const blackout = await blackoutService.check(accountId);
+      if (blackout) {
+        return (await this.deferForBlackout(job, blackout)).result;
+      }
+
+      const canPost = await quotaService.canPost(accountId, await accountService.getQuotaLimits(accountId));
+      if (!canPost) {
+        const deferred = await this.deferForQuota(job, accountId);
+        return { success: false, deferred: true, until: deferred.until };
+      }
+
+      let image = { mediaId: null, assetPath: null, imagePrompt: draft.image_prompt || null };
+      if (draft.include_image || draft.image_path) {
+        image = await this.prepareScheduledImage(draft, draft.text, accountId);
+      }
+
+      const result = await twitterService.postTweet(draft.text, image.mediaId, { accountId });
+
+      await databaseService.updateDraft(draftId, {
+        status: 'posted',
+        tweet_id: result.data.id,
+        posted_at: new Date().toISOString(),
+      });
+
+      if (draft.schedule_id) {
+        await databaseService.updateScheduledTweet(draft.schedule_id, {
+          status: 'sent',
+          text: draft.text,
+          tweet_id: result.data.id,
+          sent_at: new Date().toISOString(),
+        });
+      }
+
+      await databaseService.saveTweetHistory({
+        text: draft.text,
+        tweet_id: result.data.id,
+        has_image: !!image.mediaId,
+        image_prompt: image.imagePrompt,
+        image_path: image.assetPath,
+        type: 'scheduled',
+        schedule_type: draft.schedule_type,
+        account_id: accountId,
+        tone: draft.tone || null,
+        status: 'success',
+      });
+
+      logger.info(`Approved draft posted successfully: ${result.data.id}`);
+      return { success: true, tweetId: result.data.id };
+
+    } catch (error) {
+      logger.error(`Draft publish job ${job.id} failed:`, error.message);
+
+      // The draft stays approved while Bull still has retries left
+      const isFinalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      if (isFinalAttempt) {
+        await databaseService.updateDraft(draftId, { status: 'failed', error_message: error.message });
+
+        // The one-off has nothing left to run; failed, it can be edited and tried again
+        if (draft.schedule_id && draft.schedule_type === 'once') {
+          await databaseService.updateScheduledTweet(draft.schedule_id, {
+            status: 'failed',
+            error_message: error.message,
+            failed_at: new Date().toISOString(),
+          });
+        }
+
+        if (!this.isConfigError(error)) {
+          await databaseService.saveTweetHistory({
+            text: draft.text,
+            has_image: !!draft.include_image || !!draft.image_path,
+            image_prompt: draft.image_prompt || null,
+            type: 'scheduled',
+            schedule_type: draft.schedule_type,
+            account_id: accountId,
+            status: 'failed',
+            error_message: error.message,
+          });
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  async expireDraft(job) {
+    const draft = await draftService.expireDraft(job.data.draftId);
+    return { success: true, draftId: job.data.draftId, resolved: !!draft };
+  }
+
+  // Post segments as a reply chain. The IDs of posted segments are written back to the
+  // job after every post, so a retried job resumes at the segment that failed.
+  async processThread(job, segments, { threadId, accountId = null, type, scheduleType = null, plannedAt = null, removeFiles = false }) {
+    const postedIds = [...(job.data.threadProgress || [])];
+
+    if (postedIds.length > 0) {
+      logger.info(`Resuming thread ${threadId} at segment ${postedIds.length + 1}/${segments.length}`);
+    }
+
+    try {
+      for (let position = postedIds.length; position < segments.length; position++) {
+        const segment = segments[position];
+        const mediaId = await this.uploadSegmentMedia(segment, accountId);
+        const replyToTweetId = postedIds.length > 0 ? postedIds[postedIds.length - 1] : null;
+
+        const result = await twitterService.postTweet(segment.text, mediaId, { accountId, replyToTweetId });
+
+        // Record progress before anything else can fail, so this segment is never reposted
+        postedIds.push(result.data.id);
+        await job.update({ ...job.data, threadProgress: postedIds });
+
+        if (removeFiles) {
+          this.removeFile(segment.imageFile);
+        }
+
+        await databaseService.saveTweetHistory({
+          text: segment.text,
+          tweet_id: result.data.id,
+          has_image: !!mediaId,
+          image_prompt: segment.imagePrompt || null,
+          type,
+          schedule_type: scheduleType,
+          account_id: accountId,
+          status: 'success',
+          thread_id: threadId,
+          thread_position: position,
+          planned_at: plannedAt,
+        });
+      }
+
+      logger.info(`Thread ${threadId} posted successfully: ${postedIds.length} segments`);
+      return { success: true, threadId, tweetId: postedIds[0], tweetIds: postedIds };
+
+    } catch (error) {
+      const position = postedIds.length;
+      logger.error(`Thread ${threadId} failed at segment ${position + 1}/${segments.length}:`, error.message);
+
+      // A segment held back for quota hasn't failed; the caller decides whether it waits
+      if (position < segments.length && !error.quotaBlockedBy && !this.isConfigError(error)) {
+        await databaseService.saveTweetHistory({
+          text: segments[position].text,
+          has_image: !!segments[position].imageFile || !!segments[position].imagePath || !!segments[position].imageUrl,
+          image_prompt: segments[position].imagePrompt || null,
+          type,
+          schedule_type: scheduleType,
+          account_id: accountId,
+          status: 'failed',
+          error_message: error.message,
+          thread_id: threadId,
+          thread_position: position,
+          planned_at: plannedAt,
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  async uploadSegmentMedia(segment, accountId = null) {
+    // Segments of scheduled threads keep their image as a stored asset
+    if (segment.imagePath) {
+      const { buffer, mimeType } = await imageService.loadAsset(segment.imagePath);
+      return twitterService.uploadMedia(buffer, accountId, { mimeType });
+    }
+
+    if (segment.imageFile) {
+      return twitterService.uploadMedia(segment.imageFile, accountId);
+    }
+
+    if (segment.imageUrl) {
+      const imagePath = await this.downloadImage(segment.imageUrl);
+      try {
+        return await twitterService.uploadMedia(imagePath, accountId);
+      } finally {
+        this.removeFile(imagePath);
+      }
+    }
+
+    return null;
+  }
+
+  removeFile(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  // Errors caused by missing/invalid API configuration rather than the tweet itself
+  isConfigError(error) {
+    return error.message.includes('demo') || 
+           error.message.includes('credentials') ||
+           error.message.includes('not configured') ||
+           error.message.includes('invalid') ||
+           error.message.includes('Unauthorized') ||
+           error.message.includes('Forbidden') ||
+           error.message.includes('Twitter API not configured') ||
+           error.message.includes('Twitter API credentials are invalid') ||
+           error.message.includes('Twitter API access forbidden') ||
+           error.message.includes('Twitter API rate limit exceeded') ||
+           error.message.includes('Request failed with code 429') || // Rate limit with demo keys
+           error.code === 401 ||
+           error.code === 403 ||
+           error.code === 429; // Rate limit exceeded (likely due to demo keys)
+  }
+
+  // A schedule's image is, in order of preference: its stored upload, its image URL, or one
+  // generated from its image prompt (or from a prompt written for the tweet text).
+  // Generated images are kept so history can point at them.
+  async prepareScheduledImage(scheduleData, tweetText, accountId) {
+    if (scheduleData.image_path) {
+      const { buffer, mimeType } = await imageService.loadAsset(scheduleData.image_path);
+      const mediaId = await twitterService.uploadMedia(buffer, accountId, { mimeType });
+      return { mediaId, assetPath: scheduleData.image_path, imagePrompt: scheduleData.image_prompt || null };
+    }
+
+    if (scheduleData.image_url) {
+      const downloadedPath = await this.downloadImage(scheduleData.image_url);
+      try {
+        const mediaId = await twitterService.uploadMedia(downloadedPath, accountId);
+        return { mediaId, assetPath: null, imagePrompt: scheduleData.image_prompt || null };
+      } finally {
+        this.removeFile(downloadedPath);
+      }
+    }
+
+    const imagePrompt = scheduleData.image_prompt || await aiService.generateImagePrompt(tweetText);
+    const { assetPath, buffer, mimeType } = await imageService.generateImage(imagePrompt);
+    const mediaId = await twitterService.uploadMedia(buffer, accountId, { mimeType });
+    return { mediaId, assetPath, imagePrompt };
+  }
+
   async downloadImage(url) {
     try {
       const response = await axios({
@@ -253,6 +698,11 @@ class TweetProcessor {
     }
   }
 
+  async collectMetrics(job) {
+    logger.info(`Processing metrics collection job: ${job.id}`);
+    return metricsService.collect();
+  }
+
   // Graceful shutdown
   async shutdown() {
     logger.info('Shutting down tweet processor...');